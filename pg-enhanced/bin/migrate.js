@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+const PgClient = require('../index.js');
+
+const usage = 'Usage: migrate <up|down|status> [count] [--dry-run] [--dir <directory>]';
+
+/**
+ * Run migrations from the command line. Connection settings are taken from the environment
+ * variables described in `global.config.js`
+ */
+const main = async () => {
+  const args = process.argv.slice(2);
+
+  const dryRun = args.includes('--dry-run');
+  const dirIndex = args.indexOf('--dir');
+  const directory = dirIndex !== -1 ? args[dirIndex + 1] : undefined;
+  const [command, count] = args.filter((arg, i) => {
+    return !arg.startsWith('--') && (dirIndex === -1 || i !== dirIndex + 1);
+  });
+
+  const client = new PgClient({}, {autoClose: false});
+  const migrator = client.migrator({directory});
+
+  try {
+    switch (command) {
+    case 'up': {
+      const applied = await migrator.up({dryRun});
+      console.log(`${applied.length} migration(s) ${dryRun ? 'pending' : 'applied'}`);
+      break;
+    }
+    case 'down': {
+      const reverted = await migrator.down(count ? Number(count) : 1, {dryRun});
+      console.log(`${reverted.length} migration(s) ${dryRun ? 'would be reverted' : 'reverted'}`);
+      break;
+    }
+    case 'status': {
+      const statuses = await migrator.status();
+      for (const {version, name, state, appliedAt} of statuses) {
+        const appliedAtString = appliedAt ? ` (${appliedAt.toISOString()})` : '';
+        console.log(`${state.padEnd(8)} ${version}_${name}${appliedAtString}`);
+      }
+      break;
+    }
+    default:
+      console.error(usage);
+      process.exitCode = 1;
+    }
+  } finally {
+    await client.end();
+  }
+};
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,36 @@
+const globalConfig = require('../../config/global.config.js');
+const { PgEnhancedError } = require('../models/errors.js');
+const validateConfig = require('./validate-config.js');
+
+/**
+ * Settings that configure libraries for the whole process, which is done once when pg-enhanced is
+ * loaded
+ */
+const PROCESS_SETTINGS = ['AWS_XRAY_CONTEXT_MISSING_STRATEGY', 'AWS_XRAY_LOG_LEVEL'];
+
+/**
+ * Combines the global configuration with a set of overrides for a single client. Overrides that
+ * are `undefined` are ignored. Throws a `PgEnhancedError` if any setting is unknown or invalid
+ *
+ * @param {Partial<typeof globalConfig>=} overrides Settings to override, keyed by setting name
+ *
+ * @returns {typeof globalConfig}
+ */
+const createConfig = (overrides = {}) => {
+  const definedOverrides = Object.fromEntries(
+    Object.entries(overrides || {}).filter(([, value]) => typeof value !== 'undefined'),
+  );
+  const processSetting = PROCESS_SETTINGS.find(key => key in definedOverrides);
+  if (processSetting) {
+    throw new PgEnhancedError(`${processSetting} applies to the whole process and cannot be overridden for a single client`);
+  }
+  if (!Object.keys(definedOverrides).length) {
+    return globalConfig;
+  }
+
+  const config = {...globalConfig, ...definedOverrides};
+  validateConfig(config);
+  return config;
+};
+
+module.exports = createConfig;
@@ -0,0 +1,73 @@
+const fs = require('fs');
+
+const { PgEnhancedError } = require('../models/errors.js');
+const parseDatabaseUrl = require('./parse-database-url.js');
+
+/**
+ * Creates the `ssl` option for `pg` from an SSL mode
+ *
+ * @param {string} sslMode One of the `POSTGRES_SSL_MODE` values
+ * @param {string=} caFile Path to the certificate authority file used to verify the server
+ *
+ * @returns {boolean|import('tls').ConnectionOptions}
+ */
+const createSslConfig = (sslMode, caFile) => {
+  if (sslMode === 'disable') {
+    return false;
+  }
+  // `pg` cannot fall back to an unencrypted connection the way libpq does for `allow` and
+  // `prefer`, so those encrypt the connection without verifying the server, like `require`
+  if (['allow', 'prefer', 'require'].includes(sslMode)) {
+    return {rejectUnauthorized: false};
+  }
+
+  const ssl = {rejectUnauthorized: true};
+  if (caFile) {
+    try {
+      ssl.ca = fs.readFileSync(caFile, 'utf8');
+    } catch (e) {
+      throw new PgEnhancedError(`Could not read the SSL certificate authority file "${caFile}": ${e.message}`);
+    }
+  }
+
+  // Only the certificate authority is verified for `verify-ca`, not the host name
+  if (sslMode === 'verify-ca') {
+    ssl.checkServerIdentity = () => undefined;
+  }
+  return ssl;
+};
+
+/**
+ * Creates the default connection configuration for `pg` from a pg-enhanced configuration. Parts
+ * of `DATABASE_URL` take precedence over the individual `POSTGRES_` settings, while
+ * `POSTGRES_SSL_MODE` and `POSTGRES_SSL_CA_FILE` take precedence over the `sslmode` and
+ * `sslrootcert` of `DATABASE_URL`
+ *
+ * @param {typeof import('../../config/global.config.js')} config
+ *
+ * @returns {import('pg').ClientConfig}
+ */
+const createPgConfig = (config) => {
+  const {sslMode: urlSslMode, sslCaFile: urlSslCaFile, ...urlConfig} = config.DATABASE_URL ?
+    parseDatabaseUrl(config.DATABASE_URL) :
+    {}
+  ;
+
+  const pgConfig = {
+    host: config.POSTGRES_HOST,
+    port: config.POSTGRES_PORT,
+    database: config.POSTGRES_DATABASE,
+    user: config.POSTGRES_USER,
+    password: config.POSTGRES_PASSWORD,
+    ...urlConfig,
+  };
+
+  const sslMode = config.POSTGRES_SSL_MODE || urlSslMode;
+  if (sslMode) {
+    pgConfig.ssl = createSslConfig(sslMode, config.POSTGRES_SSL_CA_FILE || urlSslCaFile);
+  }
+
+  return pgConfig;
+};
+
+module.exports = createPgConfig;
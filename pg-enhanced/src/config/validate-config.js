@@ -0,0 +1,116 @@
+const { PgEnhancedError } = require('../models/errors.js');
+
+/**
+ * @callback ConfigRule
+ * Checks a single setting value
+ * @param {*} value
+ * @returns {string|undefined} Description of what was expected if the value is invalid
+ */
+
+/** @type {ConfigRule} */
+const isString = (value) => typeof value === 'string' ? undefined : 'a string';
+
+/** @type {ConfigRule} */
+const isBoolean = (value) => typeof value === 'boolean' ? undefined : 'a boolean';
+
+/** @type {ConfigRule} */
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0 ? undefined : 'a positive integer';
+
+/** @type {ConfigRule} */
+const isNonNegativeInteger = (value) => {
+  return Number.isInteger(value) && value >= 0 ? undefined : 'a non-negative integer';
+};
+
+/** @type {ConfigRule} */
+const isNonNegativeNumber = (value) => {
+  return typeof value === 'number' && value >= 0 && value !== Infinity ? undefined : 'a non-negative number';
+};
+
+/** @type {ConfigRule} */
+const isPort = (value) => {
+  return Number.isInteger(value) && value > 0 && value <= 65535 ? undefined : 'a port number from 1 to 65535';
+};
+
+/**
+ * Creates a rule that only allows specific values
+ *
+ * @param {*[]} allowed
+ *
+ * @returns {ConfigRule}
+ */
+const isOneOf = (allowed) => (value) => {
+  return allowed.includes(value) ? undefined : `one of ${allowed.map(a => JSON.stringify(a)).join(', ')}`;
+};
+
+/**
+ * Rules for every setting, keyed by setting name
+ *
+ * @type {Object<string, ConfigRule>}
+ */
+const configRules = {
+  AWS_REGION: isString,
+  AWS_XRAY_CONTEXT_MISSING_STRATEGY: isOneOf(['IGNORE_ERROR', 'LOG_ERROR', 'RUNTIME_ERROR']),
+  AWS_XRAY_ENABLED: isBoolean,
+  AWS_XRAY_LOG_LEVEL: isOneOf(['debug', 'info', 'warn', 'error', 'silent']),
+  DATABASE_URL: isString,
+  PG_ENHANCED_CREDENTIALS_REFRESH_MARGIN_MS: isNonNegativeNumber,
+  PG_ENHANCED_CREDENTIALS_SECRET_TTL_MS: isNonNegativeNumber,
+  PG_ENHANCED_CURSOR_BATCH_SIZE: isPositiveInteger,
+  PG_ENHANCED_IN_LIST_MAX_PARAMETERS: isPositiveInteger,
+  PG_ENHANCED_LISTEN_RECONNECT_DELAY_MS: isNonNegativeNumber,
+  PG_ENHANCED_LOG_SQL: isBoolean,
+  PG_ENHANCED_MIGRATIONS_DIRECTORY: isString,
+  PG_ENHANCED_MIGRATIONS_TABLE: isString,
+  PG_ENHANCED_PAGE_SIZE: isPositiveInteger,
+  PG_ENHANCED_PAGE_TOKEN_SECRET: isString,
+  PG_ENHANCED_POOL_IDLE_TIMEOUT_MS: isNonNegativeNumber,
+  PG_ENHANCED_POOL_MAX: isPositiveInteger,
+  PG_ENHANCED_PURGE_BATCH_SIZE: isPositiveInteger,
+  PG_ENHANCED_REDACTED_KEYS: isString,
+  PG_ENHANCED_REDACTED_PLACEHOLDER: isString,
+  PG_ENHANCED_RETRY_BASE_DELAY_MS: isNonNegativeNumber,
+  PG_ENHANCED_RETRY_MAX_ATTEMPTS: isPositiveInteger,
+  PG_ENHANCED_RETRY_MAX_DELAY_MS: isNonNegativeNumber,
+  PG_ENHANCED_SLOW_QUERY_MS: isNonNegativeNumber,
+  PG_ENHANCED_STRICT_SQL: isBoolean,
+  PG_ENHANCED_TRANSACTION_RETRY_LIMIT: isNonNegativeInteger,
+  POSTGRES_DATABASE: isString,
+  POSTGRES_HOST: isString,
+  POSTGRES_PASSWORD: isString,
+  POSTGRES_PORT: isPort,
+  POSTGRES_SSL_CA_FILE: isString,
+  POSTGRES_SSL_MODE: isOneOf(['', 'disable', 'allow', 'prefer', 'require', 'verify-ca', 'verify-full']),
+  POSTGRES_USER: isString,
+};
+
+/**
+ * Settings whose values must never appear in error messages
+ */
+const secretSettings = ['DATABASE_URL', 'PG_ENHANCED_PAGE_TOKEN_SECRET', 'POSTGRES_PASSWORD'];
+
+/**
+ * Checks every setting in a configuration object, throwing a `PgEnhancedError` that names the
+ * first unknown or invalid setting
+ *
+ * @param {object} config The configuration object to check
+ */
+const validateConfig = (config) => {
+  for (const key in config) {
+    const rule = configRules[key];
+    if (!rule) {
+      throw new PgEnhancedError(`Unknown pg-enhanced setting "${key}"`);
+    }
+
+    const expected = rule(config[key]);
+    if (expected) {
+      const value = config[key];
+      const received = secretSettings.includes(key) ?
+        `a value of type ${typeof value}` :
+        (typeof value === 'number' ? String(value) : JSON.stringify(value))
+      ;
+      throw new PgEnhancedError(`Invalid value for ${key}: expected ${expected}, got ${received}`);
+    }
+  }
+};
+
+module.exports = validateConfig;
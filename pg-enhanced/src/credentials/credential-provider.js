@@ -0,0 +1,173 @@
+const { CredentialsError } = require('../models/errors.js');
+
+const globalConfig = require('../../config/global.config.js');
+
+/**
+ * @typedef Credentials
+ * Credentials used to open a connection
+ * @property {string} password Password, or authentication token, to connect with
+ * @property {string=} user User to connect as. Defaults to the user the client is configured with
+ * @property {Date|number=} expiresAt When the credentials stop being valid, as a `Date` or a
+ *  timestamp in ms. Credentials without an expiration are never cached
+ */
+
+/**
+ * @typedef CredentialConnection
+ * Details of the connection credentials are being provided for
+ * @property {string} host
+ * @property {number} port
+ * @property {string} user The user the client is configured with
+ * @property {string} database
+ * @property {typeof globalConfig=} config Settings of the client opening the connection, which
+ *  the defaults of the provider are read from. Defaults to the global settings
+ */
+
+/**
+ * @callback FetchCredentials
+ * @param {CredentialConnection} connection The connection credentials are needed for
+ * @returns {Promise<Credentials>|Credentials}
+ */
+
+/**
+ * @typedef CredentialProviderOpts
+ * @property {number=} refreshMarginMs Amount of time before the credentials expire at which they
+ *  are refreshed. Defaults to `PG_ENHANCED_CREDENTIALS_REFRESH_MARGIN_MS` of the client
+ */
+
+/**
+ * Provides the credentials used every time a client or pool opens a connection. Credentials are
+ * cached until shortly before they expire, and concurrent connections share a single fetch. Can
+ * be used directly with a function, or extended by overriding `_fetchCredentials`
+ */
+class CredentialProvider {
+  /**
+   * @private
+   * @type {Credentials=}
+   * The most recently fetched credentials, if they can be reused
+   */
+  _cached = null;
+
+  /**
+   * @private
+   * @type {FetchCredentials=}
+   * Function used to fetch credentials, if one was provided
+   */
+  _fetch;
+
+  /**
+   * @private
+   * @type {Promise<Credentials>=}
+   * Fetch that is currently in progress, if there is one
+   */
+  _pending = null;
+
+  /**
+   * @private
+   * @type {number=}
+   * Amount of time before the credentials expire at which they are refreshed, if one was provided
+   */
+  _refreshMarginMs;
+
+  /**
+   * @param {FetchCredentials=} fetchCredentials Function used to fetch credentials. Required
+   *  unless `_fetchCredentials` is overridden
+   * @param {CredentialProviderOpts} opts
+   */
+  constructor(fetchCredentials = null, opts = {}) {
+    this._fetch = fetchCredentials;
+    this._refreshMarginMs = opts.refreshMarginMs;
+  }
+
+  // -- Instance Methods --
+  /**
+   * Get credentials for a connection, fetching new ones if there are no cached credentials or
+   * they are about to expire
+   *
+   * @param {CredentialConnection} connection The connection credentials are needed for
+   *
+   * @returns {Promise<Credentials>}
+   */
+  async getCredentials(connection) {
+    if (this._cached && this._isFresh(this._cached, connection)) {
+      return this._cached;
+    }
+
+    if (!this._pending) {
+      this._pending = (async () => {
+        try {
+          const credentials = await this._fetchCredentials(connection);
+          if (!credentials || typeof credentials.password !== 'string') {
+            throw new CredentialsError('Credential provider did not return a password');
+          }
+          this._cached = credentials.expiresAt ? credentials : null;
+          return credentials;
+        } finally {
+          this._pending = null;
+        }
+      })();
+    }
+    return this._pending;
+  }
+
+  /**
+   * Discard the cached credentials, so that the next connection fetches new ones. Used when the
+   * server rejects the credentials before they were expected to expire
+   */
+  invalidate() {
+    this._cached = null;
+  }
+
+  /**
+   * @private
+   * Fetch new credentials. Overridden by built-in providers
+   *
+   * @param {CredentialConnection} connection The connection credentials are needed for
+   *
+   * @returns {Promise<Credentials>}
+   */
+  async _fetchCredentials(connection) {
+    if (!this._fetch) {
+      throw new CredentialsError('Credential provider has no way to fetch credentials');
+    }
+    return this._fetch(connection);
+  }
+
+  /**
+   * @private
+   * Get the settings to read defaults from, which are those of the client opening the connection
+   *
+   * @param {CredentialConnection=} connection
+   *
+   * @returns {typeof globalConfig}
+   */
+  _getConfig(connection) {
+    return connection?.config || globalConfig;
+  }
+
+  /**
+   * @private
+   * Get the amount of time before the credentials expire at which they are refreshed
+   *
+   * @param {CredentialConnection=} connection
+   *
+   * @returns {number}
+   */
+  _getRefreshMarginMs(connection) {
+    return this._refreshMarginMs ?? this._getConfig(connection).PG_ENHANCED_CREDENTIALS_REFRESH_MARGIN_MS;
+  }
+
+  /**
+   * @private
+   * Check if credentials can still be used for a new connection
+   *
+   * @param {Credentials} credentials
+   * @param {CredentialConnection=} connection
+   *
+   * @returns {boolean}
+   */
+  _isFresh(credentials, connection) {
+    return new Date(credentials.expiresAt).getTime() - this._getRefreshMarginMs(connection) > Date.now();
+  }
+}
+
+module.exports = CredentialProvider;
@@ -0,0 +1,102 @@
+const CredentialProvider = require('./credential-provider.js');
+const { CredentialsError } = require('../models/errors.js');
+
+const signRdsAuthToken = require('./utils/sign-rds-auth-token.js');
+
+/** @typedef {import('./credential-provider.js').CredentialConnection} CredentialConnection */
+/** @typedef {import('./credential-provider.js').Credentials} Credentials */
+/** @typedef {import('./utils/sign-rds-auth-token.js').AwsCredentials} AwsCredentials */
+
+/**
+ * Longest amount of time an RDS IAM authentication token can be valid for
+ */
+const MAX_EXPIRES_IN_SECONDS = 900;
+
+/**
+ * Gets AWS credentials from the standard environment variables, which are read every time since
+ * they can be rotated while the process is running
+ *
+ * @returns {AwsCredentials}
+ */
+const getEnvironmentCredentials = () => ({
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  sessionToken: process.env.AWS_SESSION_TOKEN,
+});
+
+/**
+ * @typedef RdsIamCredentialProviderOpts
+ * @property {string=} region AWS region the database is in. Defaults to `AWS_REGION` of the
+ *  client
+ * @property {string=} host Host name to sign the token for. Defaults to the host of the
+ *  connection, which must be the host name of the RDS instance or proxy
+ * @property {number=} port Port to sign the token for. Defaults to the port of the connection
+ * @property {string=} user Database user to connect as. Defaults to the user of the connection
+ * @property {(() => Promise<AwsCredentials>|AwsCredentials)=} awsCredentials Function that
+ *  returns the AWS credentials to sign tokens with. Defaults to reading `AWS_ACCESS_KEY_ID`,
+ *  `AWS_SECRET_ACCESS_KEY` and `AWS_SESSION_TOKEN` from the environment
+ * @property {number=} expiresInSeconds How long tokens are valid for, up to 900 seconds.
+ *  Defaults to 900
+ * @property {number=} refreshMarginMs See `CredentialProviderOpts`
+ */
+
+/**
+ * Credential provider for [RDS IAM database authentication](https://docs.aws.amazon.com/AmazonRDS/latest/UserGuide/UsingWithRDS.IAMDBAuth.html).
+ * Each connection uses a short lived authentication token as its password, which is signed
+ * locally with the AWS credentials of the process. Tokens are reused until shortly before they
+ * expire. RDS requires SSL for IAM authentication, so `POSTGRES_SSL_MODE` should be set as well
+ */
+class RdsIamCredentialProvider extends CredentialProvider {
+  /**
+   * @private
+   * @type {RdsIamCredentialProviderOpts}
+   * Options the provider was created with
+   */
+  _opts;
+
+  /**
+   * @param {RdsIamCredentialProviderOpts} opts
+   */
+  constructor(opts = {}) {
+    super(null, {refreshMarginMs: opts.refreshMarginMs});
+    const {expiresInSeconds = MAX_EXPIRES_IN_SECONDS} = opts;
+
+    if (!Number.isInteger(expiresInSeconds) || expiresInSeconds < 1 || expiresInSeconds > MAX_EXPIRES_IN_SECONDS) {
+      throw new CredentialsError(`RDS IAM tokens must expire in 1 to ${MAX_EXPIRES_IN_SECONDS} seconds, got ${expiresInSeconds}`);
+    }
+    this._opts = {...opts, expiresInSeconds};
+  }
+
+  // -- Instance Methods --
+  /**
+   * @private
+   * Sign a new authentication token for the connection
+   *
+   * @param {CredentialConnection} connection
+   *
+   * @returns {Promise<Credentials>}
+   */
+  async _fetchCredentials(connection) {
+    const {
+      region = this._getConfig(connection).AWS_REGION, host = connection.host, port = connection.port,
+      user = connection.user, awsCredentials = getEnvironmentCredentials, expiresInSeconds,
+    } = this._opts;
+
+    if (!region) {
+      throw new CredentialsError('A region is required to sign RDS IAM tokens. Provide one with the region option or AWS_REGION');
+    }
+
+    const credentials = await awsCredentials();
+    if (!credentials?.accessKeyId || !credentials?.secretAccessKey) {
+      throw new CredentialsError('AWS credentials are required to sign RDS IAM tokens');
+    }
+
+    const date = new Date();
+    const password = signRdsAuthToken({
+      host, port: Number(port), user, region, credentials, expiresInSeconds, date,
+    });
+    return {user, password, expiresAt: date.getTime() + expiresInSeconds * 1000};
+  }
+}
+
+module.exports = RdsIamCredentialProvider;
@@ -0,0 +1,99 @@
+const fs = require('fs/promises');
+
+const CredentialProvider = require('./credential-provider.js');
+const { CredentialsError } = require('../models/errors.js');
+
+/** @typedef {import('./credential-provider.js').CredentialConnection} CredentialConnection */
+/** @typedef {import('./credential-provider.js').Credentials} Credentials */
+
+/**
+ * @typedef SecretCredentialProviderOpts
+ * @property {string=} file Path to a JSON file containing the secret, such as one mounted by a
+ *  secrets manager
+ * @property {(() => Promise<object|string>|object|string)=} secret Function that returns the
+ *  secret, as an object or a JSON string. Used instead of `file`, for example to fetch the secret
+ *  from AWS Secrets Manager
+ * @property {number=} ttlMs Amount of time the credentials are cached for before the secret is
+ *  read again. Defaults to `PG_ENHANCED_CREDENTIALS_SECRET_TTL_MS` of the client
+ * @property {number=} refreshMarginMs See `CredentialProviderOpts`
+ */
+
+/**
+ * Credential provider that reads the user and password from a JSON secret, in the format used by
+ * AWS Secrets Manager for database secrets: `{"username": "...", "password": "..."}`. The secret is
+ * read again once the credentials have been cached for `ttlMs`, so rotated passwords are picked up
+ * by new connections
+ */
+class SecretCredentialProvider extends CredentialProvider {
+  /**
+   * @private
+   * Path to the file containing the secret
+   */
+  _file;
+
+  /**
+   * @private
+   * Function used to get the secret
+   */
+  _secret;
+
+  /**
+   * @private
+   * @type {number=}
+   * Amount of time the credentials are cached for, if one was provided
+   */
+  _ttlMs;
+
+  /**
+   * @param {SecretCredentialProviderOpts} opts
+   */
+  constructor(opts = {}) {
+    super(null, {refreshMarginMs: opts.refreshMarginMs});
+    const {file, secret, ttlMs} = opts;
+
+    if (!file === !secret) {
+      throw new CredentialsError('Exactly one of the file and secret options is required');
+    }
+    this._file = file;
+    this._secret = secret;
+    this._ttlMs = ttlMs;
+  }
+
+  // -- Instance Methods --
+  /**
+   * @private
+   * Read the user and password from the secret
+   *
+   * @param {CredentialConnection} connection
+   *
+   * @returns {Promise<Credentials>}
+   */
+  async _fetchCredentials(connection) {
+    let secret;
+    try {
+      secret = this._file ? await fs.readFile(this._file, 'utf8') : await this._secret();
+      if (typeof secret === 'string') {
+        secret = JSON.parse(secret);
+      }
+    } catch (e) {
+      // Parse errors can include part of the secret, so only the source is reported
+      const source = this._file ? `the secret file "${this._file}"` : 'the secret';
+      throw new CredentialsError(`Could not read database credentials from ${source}${e instanceof SyntaxError ? ': invalid JSON' : `: ${e.message}`}`);
+    }
+
+    if (typeof secret?.password !== 'string') {
+      throw new CredentialsError('Database secret does not have a password');
+    }
+
+    const ttlMs = this._ttlMs ?? this._getConfig(connection).PG_ENHANCED_CREDENTIALS_SECRET_TTL_MS;
+
+    return {
+      user: secret.username || secret.user,
+      password: secret.password,
+      // The refresh margin is added so that the credentials are reused for the full TTL
+      expiresAt: Date.now() + ttlMs + this._getRefreshMarginMs(connection),
+    };
+  }
+}
+
+module.exports = SecretCredentialProvider;
@@ -0,0 +1,57 @@
+/** @typedef {import('../credential-provider.js')} CredentialProvider */
+
+/**
+ * SQLSTATEs of errors caused by the server rejecting the credentials of a connection
+ */
+const AUTHENTICATION_ERROR_CODES = ['28000', '28P01'];
+
+/**
+ * Creates a subclass of a `pg` client class that gets its credentials from a credential provider
+ * right before every connection is opened. Pools create all of their connections with the client
+ * class they are given, so the same class works for both clients and pools
+ *
+ * @param {typeof import('pg').Client} Client The client class to extend, which may have been
+ *  instrumented by a tracer
+ * @param {CredentialProvider} credentialProvider
+ * @param {typeof import('../../../config/global.config.js')} config Settings of the client or
+ *  pool, passed to the provider along with the connection details
+ *
+ * @returns {typeof import('pg').Client}
+ */
+const createCredentialedClient = (Client, credentialProvider, config) => {
+  return class CredentialedClient extends Client {
+    connect(callback) {
+      const connecting = (async () => {
+        const {user, password} = await credentialProvider.getCredentials({
+          host: this.host,
+          port: this.port,
+          user: this.user,
+          database: this.database,
+          config,
+        });
+
+        if (user) {
+          this.user = this.connectionParameters.user = user;
+        }
+        this.password = this.connectionParameters.password = password;
+
+        try {
+          await super.connect();
+        } catch (e) {
+          // Credentials can be revoked before they expire, such as when a password is rotated
+          if (AUTHENTICATION_ERROR_CODES.includes(e.code)) {
+            credentialProvider.invalidate();
+          }
+          throw e;
+        }
+      })();
+
+      if (!callback) {
+        return connecting;
+      }
+      connecting.then(() => callback(), callback);
+    }
+  };
+};
+
+module.exports = createCredentialedClient;
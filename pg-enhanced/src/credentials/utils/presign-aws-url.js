@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+/**
+ * @typedef AwsCredentials
+ * @property {string} accessKeyId
+ * @property {string} secretAccessKey
+ * @property {string=} sessionToken Required for temporary credentials, such as those of a Lambda
+ *  function or an assumed role
+ */
+
+/**
+ * @typedef PresignAwsUrlParams
+ * @property {string} host Value of the `host` header, which is the only signed header
+ * @property {string=} path Defaults to `/`
+ * @property {Object<string, string>=} query Query parameters to sign along with the `X-Amz-*`
+ *  ones
+ * @property {string} service
+ * @property {string} region
+ * @property {AwsCredentials} credentials
+ * @property {number} expiresInSeconds
+ * @property {string=} payloadHash Defaults to the hash of an empty payload
+ * @property {Date=} date Time the URL is signed at. Defaults to now
+ */
+
+/**
+ * Encodes a string as required by AWS Signature Version 4, which is stricter than
+ * `encodeURIComponent`
+ *
+ * @param {string} str
+ *
+ * @returns {string}
+ */
+const encodeRfc3986 = (str) => {
+  return encodeURIComponent(str).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+};
+
+/**
+ * @param {string|Buffer} key
+ * @param {string} data
+ */
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+
+/**
+ * @param {string} data
+ */
+const sha256 = (data) => crypto.createHash('sha256').update(data, 'utf8').digest('hex');
+
+/**
+ * Presigns a `GET` request with
+ * [AWS Signature Version 4](https://docs.aws.amazon.com/IAM/latest/UserGuide/reference_sigv-create-signed-request.html),
+ * putting the signature in the query string. Signing happens locally, so no requests are made to
+ * AWS
+ *
+ * @param {PresignAwsUrlParams} params
+ *
+ * @returns {string} The signed URL, without the protocol
+ */
+const presignAwsUrl = (params) => {
+  const {
+    host, path = '/', query = {}, service, region, credentials, expiresInSeconds,
+    payloadHash = sha256(''), date = new Date(),
+  } = params;
+
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+
+  const signedQuery = {
+    ...query,
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${credentials.accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(expiresInSeconds),
+    'X-Amz-SignedHeaders': 'host',
+  };
+  if (credentials.sessionToken) {
+    signedQuery['X-Amz-Security-Token'] = credentials.sessionToken;
+  }
+  const canonicalQuery = Object.keys(signedQuery)
+    .sort()
+    .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(signedQuery[key])}`)
+    .join('&')
+  ;
+
+  const canonicalRequest = [
+    'GET',
+    path,
+    canonicalQuery,
+    `host:${host}`,
+    '',
+    'host',
+    payloadHash,
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  let signingKey = hmac(`AWS4${credentials.secretAccessKey}`, dateStamp);
+  for (const part of [region, service, 'aws4_request']) {
+    signingKey = hmac(signingKey, part);
+  }
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  return `${host}${path}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+};
+
+module.exports = presignAwsUrl;
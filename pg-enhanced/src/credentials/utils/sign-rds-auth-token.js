@@ -0,0 +1,38 @@
+const presignAwsUrl = require('./presign-aws-url.js');
+
+/** @typedef {import('./presign-aws-url.js').AwsCredentials} AwsCredentials */
+
+/**
+ * @typedef SignRdsAuthTokenParams
+ * @property {string} host Host name of the database instance or proxy
+ * @property {number} port
+ * @property {string} user Database user to connect as
+ * @property {string} region AWS region the database is in
+ * @property {AwsCredentials} credentials AWS credentials to sign the token with
+ * @property {number} expiresInSeconds How long the token is valid for, up to 900 seconds
+ * @property {Date=} date Time the token is signed at. Defaults to now
+ */
+
+/**
+ * Creates an RDS IAM authentication token, which is used as the password when connecting. The
+ * token is a `connect` request to the `rds-db` service, presigned with AWS Signature Version 4
+ *
+ * @param {SignRdsAuthTokenParams} params
+ *
+ * @returns {string}
+ */
+const signRdsAuthToken = (params) => {
+  const {host, port, user, region, credentials, expiresInSeconds, date} = params;
+
+  return presignAwsUrl({
+    host: `${host}:${port}`,
+    query: {Action: 'connect', DBUser: user},
+    service: 'rds-db',
+    region,
+    credentials,
+    expiresInSeconds,
+    date,
+  });
+};
+
+module.exports = signRdsAuthToken;
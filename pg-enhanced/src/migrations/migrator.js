@@ -0,0 +1,354 @@
+const path = require('path');
+const pg = require('pg');
+
+const PgPool = require('../sql/clients/pg-pool.js');
+const { MigrationError } = require('../models/errors.js');
+
+const loadMigrations = require('./utils/load-migrations.js');
+
+/** @typedef {import('../sql/clients/pg-client.js')} PgClient */
+/** @typedef {import('./utils/load-migrations.js').Migration} Migration */
+
+/**
+ * @typedef MigrationStatus
+ * @property {string} version Version of the migration
+ * @property {string} name Descriptive name of the migration
+ * @property {'applied'|'pending'|'modified'|'missing'} state `applied` and `pending` migrations
+ *  are in sync with the files on disk. `modified` migrations have been applied, but the file has
+ *  changed since. `missing` migrations have been applied, but the file no longer exists
+ * @property {Date=} appliedAt When the migration was applied
+ */
+
+/**
+ * @typedef MigratorRunOpts
+ * @property {boolean=} dryRun If `true`, log the SQL that would be run instead of running it
+ */
+
+/**
+ * Applies and reverts migrations stored as files in a directory, keeping track of which
+ * migrations have been applied in a table. A Postgres advisory lock is held while migrations are
+ * running, so multiple processes can safely attempt to migrate the same database at once
+ */
+class Migrator {
+  /**
+   * @private
+   * @type {PgClient}
+   * Client used to run the migrations
+   */
+  _client;
+
+  /**
+   * @private
+   * Absolute path to the directory the migration files are stored in
+   */
+  _directory;
+
+  /**
+   * @private
+   * Object used to log dry run output and progress
+   */
+  _logger;
+
+  /**
+   * @private
+   * Name of the table used to keep track of applied migrations
+   */
+  _tableName;
+
+  /**
+   * @typedef MigratorOpts
+   * @property {PgClient} client Client used to run the migrations. If a pool is provided, a
+   *  single connection will be checked out for the duration of each operation
+   * @property {string=} directory Directory containing the migration files. Defaults to
+   *  the `PG_ENHANCED_MIGRATIONS_DIRECTORY` setting of the client
+   * @property {string=} tableName Name of the table used to keep track of applied migrations.
+   *  Defaults to the `PG_ENHANCED_MIGRATIONS_TABLE` setting of the client
+   * @property {{log: Function}=} logger Object used to log dry run output and progress. Defaults
+   *  to `console`
+   */
+
+  /**
+   * @param {MigratorOpts} opts
+   */
+  constructor(opts) {
+    const {
+      client,
+      directory = client._config.PG_ENHANCED_MIGRATIONS_DIRECTORY,
+      tableName = client._config.PG_ENHANCED_MIGRATIONS_TABLE,
+      logger = console,
+    } = opts;
+
+    this._client = client;
+    this._directory = path.resolve(directory);
+    this._logger = logger;
+    this._tableName = tableName;
+  }
+
+  // -- Instance Methods --
+  /**
+   * Get the status of every migration, both on disk and in the database
+   *
+   * @returns {Promise<MigrationStatus[]>}
+   */
+  async status() {
+    const migrations = loadMigrations(this._directory);
+
+    return this._withConnection(async (client) => {
+      const applied = await this._getApplied(client);
+      return this._getStatus(migrations, applied);
+    });
+  }
+
+  /**
+   * Apply all pending migrations, in order. Each migration is applied in its own transaction.
+   * Throws a `MigrationError` without applying anything if an applied migration has been modified
+   *
+   * @param {MigratorRunOpts} opts
+   *
+   * @returns {Promise<Migration[]>} The migrations that were applied
+   */
+  async up(opts = {}) {
+    const {dryRun = false} = opts;
+    const migrations = loadMigrations(this._directory);
+
+    return this._withConnection(async (client) => {
+      if (!dryRun) {
+        await this._createTable(client);
+      }
+      const applied = await this._getApplied(client);
+
+      const modified = this._getStatus(migrations, applied).filter(m => m.state === 'modified');
+      if (modified.length) {
+        const versions = modified.map(m => `${m.version}_${m.name}`).join(', ');
+        throw new MigrationError(`Applied migrations have been modified: ${versions}`);
+      }
+
+      const pending = migrations.filter(m => !applied.has(m.version));
+      for (const migration of pending) {
+        await this._run(client, migration, 'up', dryRun);
+      }
+
+      return pending;
+    });
+  }
+
+  /**
+   * Revert the most recently applied migrations, newest first. Each migration is reverted in its
+   * own transaction. Throws a `MigrationError` if a migration does not have a down script, or its
+   * up or down script has been modified since it was applied. Down scripts that were added after
+   * the migration was applied can always be used
+   *
+   * @param {number} count Number of migrations to revert
+   * @param {MigratorRunOpts} opts
+   *
+   * @returns {Promise<Migration[]>} The migrations that were reverted
+   */
+  async down(count = 1, opts = {}) {
+    const {dryRun = false} = opts;
+    const migrations = loadMigrations(this._directory);
+
+    if (!Number.isInteger(count) || count < 1) {
+      throw new MigrationError(`Number of migrations to revert must be a positive integer, got "${count}"`);
+    }
+
+    return this._withConnection(async (client) => {
+      if (!dryRun) {
+        await this._createTable(client);
+      }
+      const applied = await this._getApplied(client);
+      const migrationsByVersion = new Map(migrations.map(m => [m.version, m]));
+
+      const toRevert = [...applied.keys()].reverse().slice(0, count).map((version) => {
+        const migration = migrationsByVersion.get(version);
+        if (!migration) {
+          throw new MigrationError(`Cannot revert migration version ${version}, its file is missing`);
+        }
+        if (!migration.down) {
+          throw new MigrationError(`Cannot revert migration version ${version}, it has no down script`);
+        }
+        const {checksum, downChecksum} = applied.get(version);
+        if (migration.checksum !== checksum) {
+          throw new MigrationError(`Cannot revert migration version ${version}, it has been modified`);
+        }
+        if (downChecksum && migration.downChecksum !== downChecksum) {
+          throw new MigrationError(`Cannot revert migration version ${version}, its down script has been modified`);
+        }
+        return migration;
+      });
+
+      for (const migration of toRevert) {
+        await this._run(client, migration, 'down', dryRun);
+      }
+
+      return toRevert;
+    });
+  }
+
+  /**
+   * @private
+   * Run a callback using a single connection while holding the migration advisory lock
+   *
+   * @template T
+   * @param {(client: PgClient) => Promise<T>} callback
+   *
+   * @returns {Promise<T>}
+   */
+  async _withConnection(callback) {
+    // Advisory locks are held by a connection, so pools need to check one out to use
+    const isPool = this._client instanceof PgPool;
+    const client = isPool ? await this._client._checkout() : this._client;
+    const lockKey = client.escape.parameter(this._tableName);
+
+    let failure;
+    try {
+      await client.sql`SELECT pg_advisory_lock(hashtext(${lockKey}))`;
+      try {
+        return await callback(client);
+      } finally {
+        await client.sql`SELECT pg_advisory_unlock(hashtext(${lockKey}))`;
+      }
+    } catch (e) {
+      // The lock may not have been released, so a pooled connection is destroyed instead of
+      // being reused, which releases the lock along with it
+      failure = e;
+      throw e;
+    } finally {
+      if (isPool) {
+        this._client._release(client, failure);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * Create the table used to keep track of applied migrations, if it does not already exist
+   *
+   * @param {PgClient} client
+   */
+  async _createTable(client) {
+    const table = client.escape.identifier(this._tableName);
+    await client.sql/*sql*/`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        "version" text PRIMARY KEY,
+        "name" text NOT NULL,
+        "checksum" text NOT NULL,
+        "downChecksum" text,
+        "appliedAt" timestamptz NOT NULL DEFAULT now()
+      )
+    `;
+
+    // Tracking tables created by earlier versions do not have the down checksum yet
+    await client.sql`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS "downChecksum" text`;
+  }
+
+  /**
+   * @private
+   * Get the migrations that have been applied, ordered from oldest to newest. If the tracking
+   * table does not exist yet, no migrations have been applied
+   *
+   * @param {PgClient} client
+   *
+   * @returns {Promise<Map<string, {version: string, name: string, checksum: string, downChecksum: string|null, appliedAt: Date}>>}
+   */
+  async _getApplied(client) {
+    // The tracking table rows are read as-is, regardless of how the client transforms results
+    const sql = client.sql({keyCase: undefined, rowMapper: undefined});
+
+    const tableIdentifier = client.escape.parameter(pg.escapeIdentifier(this._tableName));
+    const [{tableExists}] = await sql`
+      SELECT to_regclass(${tableIdentifier}) IS NOT NULL AS "tableExists"
+    `;
+    if (!tableExists) {
+      return new Map();
+    }
+
+    const rows = await sql`
+      SELECT * FROM ${client.escape.identifier(this._tableName)} ORDER BY "version"::numeric
+    `;
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * @private
+   * Combine the migrations on disk with the applied migrations into a status list
+   *
+   * @param {Migration[]} migrations
+   * @param {Map<string, object>} applied
+   *
+   * @returns {MigrationStatus[]}
+   */
+  _getStatus(migrations, applied) {
+    const statuses = migrations.map((migration) => {
+      const {version, name, checksum} = migration;
+      const appliedMigration = applied.get(version);
+      if (!appliedMigration) {
+        return {version, name, state: 'pending'};
+      }
+
+      const state = appliedMigration.checksum === checksum ? 'applied' : 'modified';
+      return {version, name, state, appliedAt: appliedMigration.appliedAt};
+    });
+
+    const versionsOnDisk = new Set(migrations.map(m => m.version));
+    for (const [version, {name, appliedAt}] of applied) {
+      if (!versionsOnDisk.has(version)) {
+        statuses.push({version, name, state: 'missing', appliedAt});
+      }
+    }
+
+    return statuses.sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  /**
+   * @private
+   * Apply or revert a single migration in a transaction, updating the tracking table to match
+   *
+   * @param {PgClient} client
+   * @param {Migration} migration
+   * @param {'up'|'down'} direction
+   * @param {boolean} dryRun
+   */
+  async _run(client, migration, direction, dryRun) {
+    const {version, name, checksum, downChecksum} = migration;
+    const script = migration[direction];
+    const label = `${version}_${name} (${direction})`;
+
+    if (dryRun) {
+      const contents = script.type === 'sql' ?
+        script.contents :
+        '-- JS migration, SQL is not available in a dry run'
+      ;
+      this._logger.log(`-- Migration ${label}\n${contents.trim()}\n`);
+      return;
+    }
+
+    let migrationModule;
+    if (script.type === 'js') {
+      migrationModule = require(script.filePath);
+      if (typeof migrationModule[direction] !== 'function') {
+        throw new MigrationError(`Migration ${label} does not export a "${direction}" function`);
+      }
+    }
+
+    const table = client.escape.identifier(this._tableName);
+    await client.transaction(async (tx) => {
+      if (migrationModule) {
+        await migrationModule[direction](tx);
+      } else {
+        await tx.query(script.contents);
+      }
+
+      if (direction === 'up') {
+        await tx.sql`
+          INSERT INTO ${table} ${tx.escape.keysAndValues({version, name, checksum, downChecksum})}
+        `;
+      } else {
+        await tx.sql`DELETE FROM ${table} WHERE "version"=${tx.escape.parameter(version)}`;
+      }
+    });
+
+    this._logger.log(`Migration ${label} complete`);
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { MigrationError } = require('../../models/errors.js');
+
+/**
+ * Matches migration file names in the form `<version>_<name>.sql`, `<version>_<name>.up.sql`,
+ * `<version>_<name>.down.sql` or `<version>_<name>.js`
+ */
+const migrationFileRegex = /^(\d+)[_-](.+?)(?:\.(up|down))?\.(sql|js)$/;
+
+/**
+ * @typedef MigrationScript
+ * @property {'sql'|'js'} type The kind of file the script is stored in
+ * @property {string} filePath Absolute path to the file
+ * @property {string} contents Raw contents of the file
+ */
+
+/**
+ * @param {string} contents
+ *
+ * @returns {string} SHA-256 hash of the contents
+ */
+const hash = (contents) => crypto.createHash('sha256').update(contents).digest('hex');
+
+/**
+ * @typedef Migration
+ * @property {string} version Version of the migration, taken from the numeric file name prefix
+ * @property {string} name Descriptive name of the migration, taken from the rest of the file name
+ * @property {string} checksum SHA-256 hash of the file that applies the migration
+ * @property {string|null} downChecksum SHA-256 hash of the separate file that reverts the
+ *  migration, if there is one. JS migrations keep both directions in the file hashed by `checksum`
+ * @property {MigrationScript} up Script used to apply the migration
+ * @property {MigrationScript=} down Script used to revert the migration, if there is one
+ */
+
+/**
+ * Reads all of the migration files in a directory and groups them into migrations, ordered by
+ * version. SQL migrations use a `.up.sql` file (or a plain `.sql` file) to apply the migration and
+ * an optional `.down.sql` file to revert it. JS migrations are a single module exporting `up` and
+ * (optionally) `down` functions that receive a `PgClient`
+ *
+ * @param {string} directory The directory to read migrations from
+ *
+ * @returns {Migration[]} The migrations, ordered from oldest to newest
+ */
+const loadMigrations = (directory) => {
+  if (!fs.existsSync(directory)) {
+    throw new MigrationError(`Migrations directory "${directory}" does not exist`);
+  }
+
+  /** @type {Map<string, Migration>} */
+  const migrations = new Map();
+
+  for (const fileName of fs.readdirSync(directory).sort()) {
+    const match = migrationFileRegex.exec(fileName);
+    if (!match) {
+      continue;
+    }
+
+    const [, version, name, direction = 'up', type] = match;
+    const filePath = path.resolve(directory, fileName);
+    const contents = fs.readFileSync(filePath, 'utf8');
+
+    const migration = migrations.get(version) || {version, name};
+    if (migration.name !== name) {
+      throw new MigrationError(
+        `Migration version ${version} is used by both "${migration.name}" and "${name}"`,
+      );
+    }
+
+    // JS modules contain both directions in the same file
+    const directions = type === 'js' ? ['up', 'down'] : [direction];
+    for (const scriptDirection of directions) {
+      if (migration[scriptDirection]) {
+        throw new MigrationError(`Migration version ${version} has more than one ${scriptDirection} script`);
+      }
+      migration[scriptDirection] = {type, filePath, contents};
+    }
+
+    migrations.set(version, migration);
+  }
+
+  const results = [...migrations.values()];
+  for (const migration of results) {
+    if (!migration.up) {
+      throw new MigrationError(`Migration version ${migration.version} does not have an up script`);
+    }
+
+    // Down scripts are hashed separately, so that adding or fixing one after the migration has
+    // been applied only matters when reverting it
+    const hasDownFile = migration.down && migration.down.filePath !== migration.up.filePath;
+    migration.checksum = hash(migration.up.contents);
+    migration.downChecksum = hasDownFile ? hash(migration.down.contents) : null;
+  }
+
+  // Versions are compared numerically so that un-padded version numbers still sort correctly
+  return results.sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+module.exports = loadMigrations;
@@ -0,0 +1,23 @@
+/**
+ * Stable, machine-readable codes used to classify database errors
+ */
+const DB_ERROR_CODES = {
+  CHECK_VIOLATION: 'CHECK_VIOLATION',
+  CONNECTION_FAILURE: 'CONNECTION_FAILURE',
+  DEADLOCK_DETECTED: 'DEADLOCK_DETECTED',
+  FOREIGN_KEY_VIOLATION: 'FOREIGN_KEY_VIOLATION',
+  NOT_NULL_VIOLATION: 'NOT_NULL_VIOLATION',
+  QUERY_CANCELED: 'QUERY_CANCELED',
+  QUERY_TIMEOUT: 'QUERY_TIMEOUT',
+  SERIALIZATION_FAILURE: 'SERIALIZATION_FAILURE',
+  STATEMENT_TIMEOUT: 'STATEMENT_TIMEOUT',
+  TOO_MANY_CONNECTIONS: 'TOO_MANY_CONNECTIONS',
+  UNDEFINED_COLUMN: 'UNDEFINED_COLUMN',
+  UNDEFINED_TABLE: 'UNDEFINED_TABLE',
+  UNDEFINED_VALUE: 'UNDEFINED_VALUE',
+  UNIQUE_VIOLATION: 'UNIQUE_VIOLATION',
+  UNKNOWN: 'UNKNOWN',
+  VALUE_TOO_LONG: 'VALUE_TOO_LONG',
+};
+
+module.exports = DB_ERROR_CODES;
@@ -1,5 +1,7 @@
 const {DatabaseError} = require('pg');
 
+const DB_ERROR_CODES = require('./db-error-codes.js');
+const classifyDbError = require('./utils/classify-db-error.js');
 const generateDbErrorMessage = require('./utils/generate-db-error-message.js');
 
 /**
@@ -21,7 +23,12 @@ class PgEnhancedError extends Error {
 /**
  * Error class for errors that originate from PostgreSQL. Will perform various operations on the error
  * to improve feedback for debugging. Also includes a status code property that will be 400 by default,
- * unless a timeout or too-many-connections error is detected in which case a 429 status will be used
+ * unless a timeout or too-many-connections error is detected in which case a 429 status will be used.
+ *
+ * Errors are classified using their SQLSTATE (falling back to their message), and the result is
+ * available as a stable `code` (one of `DBError.codes`) along with the `sqlState`, `table`,
+ * `column`, `constraint` and any `keyValues` parsed from the error detail. Use `DBError.from` to
+ * get an instance of the subclass matching the classification, so that `instanceof` checks work
  */
 class DBError extends PgEnhancedError {
   type = 'DBError';
@@ -31,6 +38,71 @@ class DBError extends PgEnhancedError {
    */
   statusCode = 400;
 
+  /**
+   * Stable, machine-readable classification of the error. One of `DBError.codes`
+   */
+  code = DB_ERROR_CODES.UNKNOWN;
+
+  /**
+   * @type {string=}
+   * The [SQLSTATE](https://www.postgresql.org/docs/current/errcodes-appendix.html) of the error,
+   * if it has one
+   */
+  sqlState;
+
+  /**
+   * @type {string=}
+   * Table the error relates to, if known
+   */
+  table;
+
+  /**
+   * @type {string=}
+   * Column the error relates to, if known
+   */
+  column;
+
+  /**
+   * @type {string=}
+   * Constraint that was violated, if known
+   */
+  constraint;
+
+  /**
+   * @type {Object<string, string>=}
+   * Key columns and values parsed from the error detail, such as `{id: '5'}` for a unique
+   * violation with the detail `Key (id)=(5) already exists.`
+   */
+  keyValues;
+
+  /**
+   * Number of times the operation that caused the error was attempted, including retries
+   */
+  attempts = 1;
+
+  /**
+   * Every code an error can be classified with
+   */
+  static codes = DB_ERROR_CODES;
+
+  /**
+   * Create a `DBError` from any error, using the subclass that matches its classification.
+   * Errors that are already a `DBError` are returned as-is
+   *
+   * @param {PostgresError|Error|string} originalError
+   *
+   * @returns {DBError}
+   */
+  static from(originalError) {
+    if (originalError instanceof DBError) {
+      return originalError;
+    }
+
+    const {code} = classifyDbError(originalError);
+    const ErrorClass = dbErrorClasses[code] || DBError;
+    return new ErrorClass(originalError);
+  }
+
   /**
    * @param {PostgresError} originalError Error directly from the database
    */
@@ -38,9 +110,12 @@ class DBError extends PgEnhancedError {
     // Copy case
     if (originalError instanceof DBError) {
       super(originalError.message);
+      this.name = this.type;
       this.statusCode = originalError.statusCode;
       this.originalError = originalError.originalError;
       this.stack = originalError.stack;
+      this.attempts = originalError.attempts;
+      this._classify(originalError.originalError);
       return;
     }
 
@@ -55,7 +130,10 @@ class DBError extends PgEnhancedError {
       }
 
       super(originalError.message);
+      this.name = this.type;
       this.originalError = originalError;
+      this.attempts = originalError.attempts || 1;
+      this._classify(originalError);
       return;
     }
 
@@ -63,6 +141,7 @@ class DBError extends PgEnhancedError {
       message, isTimeoutError, isTooManyConnectionsError,
     } = generateDbErrorMessage(originalError);
     super(message);
+    this.name = this.type;
 
     // Timeout and to-many-connections errors should give a 429 status code
     if (isTimeoutError || isTooManyConnectionsError) {
@@ -73,9 +152,341 @@ class DBError extends PgEnhancedError {
      * The original error from Postgres
      */
     this.originalError = originalError;
+    this.attempts = originalError.attempts || 1;
+    this._classify(originalError);
+  }
+
+  /**
+   * @private
+   * Apply the classification of the original error to this error
+   *
+   * @param {PostgresError|Error} originalError
+   */
+  _classify(originalError) {
+    const classification = classifyDbError(originalError);
+    this.code = classification.code;
+    this.sqlState = classification.sqlState;
+    this.table = classification.table;
+    this.column = classification.column;
+    this.constraint = classification.constraint;
+    this.keyValues = classification.keyValues;
+
+    if (this.code === DB_ERROR_CODES.TOO_MANY_CONNECTIONS || this.code === DB_ERROR_CODES.QUERY_TIMEOUT) {
+      this.statusCode = 429;
+    }
+  }
+}
+
+/**
+ * Error for unique constraint violations, such as inserting a row with an ID that is already taken.
+ * Uses a 409 status code
+ */
+class UniqueViolationError extends DBError {
+  type = 'UniqueViolationError';
+  statusCode = 409;
+
+  constructor(originalError) {
+    super(originalError);
+    this.name = this.type;
+  }
+}
+
+/**
+ * Error for foreign key violations. Uses a 404 status code when the referenced row does not exist,
+ * and a 409 status code when deleting or updating a row that other rows still reference
+ */
+class ForeignKeyViolationError extends DBError {
+  type = 'ForeignKeyViolationError';
+
+  constructor(originalError) {
+    super(originalError);
+    this.name = this.type;
+    const isReferenced = /^update or delete on table/.test(this.originalError?.message || '');
+    this.statusCode = isReferenced ? 409 : 404;
+  }
+}
+
+/**
+ * Error for check constraint violations. Uses a 422 status code
+ */
+class CheckViolationError extends DBError {
+  type = 'CheckViolationError';
+  statusCode = 422;
+
+  constructor(originalError) {
+    super(originalError);
+    this.name = this.type;
+  }
+}
+
+/**
+ * Error for not-null constraint violations. Uses a 422 status code
+ */
+class NotNullViolationError extends DBError {
+  type = 'NotNullViolationError';
+  statusCode = 422;
+
+  constructor(originalError) {
+    super(originalError);
+    this.name = this.type;
+  }
+}
+
+/**
+ * Error for values that are too long for their column type. Uses a 422 status code
+ */
+class ValueTooLongError extends DBError {
+  type = 'ValueTooLongError';
+  statusCode = 422;
+
+  constructor(originalError) {
+    super(originalError);
+    this.name = this.type;
+  }
+}
+
+/**
+ * Error for serialization failures and deadlocks, which can usually be resolved by retrying the
+ * transaction. Uses a 409 status code
+ */
+class SerializationFailureError extends DBError {
+  type = 'SerializationFailureError';
+  statusCode = 409;
+
+  constructor(originalError) {
+    super(originalError);
+    this.name = this.type;
+  }
+}
+
+/**
+ * Error for when the database has too many connections to accept another. Uses a 429 status code
+ */
+class TooManyConnectionsError extends DBError {
+  type = 'TooManyConnectionsError';
+  statusCode = 429;
+
+  constructor(originalError) {
+    super(originalError);
+    this.name = this.type;
+  }
+}
+
+/**
+ * Error for queries that timed out. Uses a 429 status code
+ */
+class QueryTimeoutError extends DBError {
+  type = 'QueryTimeoutError';
+  statusCode = 429;
+
+  constructor(originalError) {
+    super(originalError);
+    this.name = this.type;
+  }
+}
+
+/**
+ * Error for statements that were stopped by the server because they ran longer than the
+ * `statement_timeout`, such as when using the `timeoutMs` query option. Uses a 429 status code
+ */
+class StatementTimeoutError extends DBError {
+  type = 'StatementTimeoutError';
+  statusCode = 429;
+
+  constructor(originalError) {
+    super(originalError);
+    this.name = this.type;
+  }
+}
+
+/**
+ * Error for statements that were canceled before they finished, such as when the `signal` query
+ * option is aborted. Uses a 408 status code
+ */
+class QueryCanceledError extends DBError {
+  type = 'QueryCanceledError';
+  statusCode = 408;
+
+  constructor(originalError) {
+    super(originalError);
+    this.name = this.type;
+  }
+}
+
+/**
+ * Error for connections that could not be made or were lost, including the database shutting down
+ * or not accepting connections yet. Uses a 503 status code
+ */
+class ConnectionError extends DBError {
+  type = 'ConnectionError';
+  statusCode = 503;
+
+  constructor(originalError) {
+    super(originalError);
+    this.name = this.type;
+  }
+}
+
+/**
+ * `DBError` subclasses for each error code that has one
+ */
+const dbErrorClasses = {
+  [DB_ERROR_CODES.CHECK_VIOLATION]: CheckViolationError,
+  [DB_ERROR_CODES.CONNECTION_FAILURE]: ConnectionError,
+  [DB_ERROR_CODES.DEADLOCK_DETECTED]: SerializationFailureError,
+  [DB_ERROR_CODES.FOREIGN_KEY_VIOLATION]: ForeignKeyViolationError,
+  [DB_ERROR_CODES.NOT_NULL_VIOLATION]: NotNullViolationError,
+  [DB_ERROR_CODES.QUERY_CANCELED]: QueryCanceledError,
+  [DB_ERROR_CODES.QUERY_TIMEOUT]: QueryTimeoutError,
+  [DB_ERROR_CODES.SERIALIZATION_FAILURE]: SerializationFailureError,
+  [DB_ERROR_CODES.STATEMENT_TIMEOUT]: StatementTimeoutError,
+  [DB_ERROR_CODES.TOO_MANY_CONNECTIONS]: TooManyConnectionsError,
+  [DB_ERROR_CODES.UNIQUE_VIOLATION]: UniqueViolationError,
+  [DB_ERROR_CODES.VALUE_TOO_LONG]: ValueTooLongError,
+};
+
+/**
+ * Error class for credential providers that could not get credentials, such as secrets that cannot
+ * be read or are missing a password. Messages never include the secret itself
+ */
+class CredentialsError extends PgEnhancedError {
+  type = 'CredentialsError';
+
+  constructor(message) {
+    super(message);
+    this.name = this.type;
+  }
+}
+
+/**
+ * Error class for pagination continuation tokens that are malformed, have an invalid signature or
+ * were created for a different set of sort columns
+ */
+class InvalidPageTokenError extends PgEnhancedError {
+  type = 'InvalidPageTokenError';
+
+  constructor(message) {
+    super(message);
+    this.name = this.type;
+  }
+}
+
+/**
+ * Error class for problems found while running migrations, such as migration files that have been
+ * changed after being applied or migrations that cannot be reverted
+ */
+class MigrationError extends PgEnhancedError {
+  type = 'MigrationError';
+
+  constructor(message) {
+    super(message);
+    this.name = this.type;
+  }
+}
+
+/**
+ * Error class for when a set of dictionaries being inserted together do not all have the same
+ * keys. Identifies the first dictionary that does not match the keys of the first one
+ */
+class MismatchedKeysError extends PgEnhancedError {
+  type = 'MismatchedKeysError';
+
+  /**
+   * @param {number} rowIndex Index of the offending dictionary
+   * @param {string[]} missingKeys Keys the offending dictionary is missing
+   * @param {string[]} extraKeys Keys the offending dictionary has that the first one does not
+   */
+  constructor(rowIndex, missingKeys, extraKeys) {
+    const problems = [];
+    if (missingKeys.length) {
+      problems.push(`is missing keys: ${missingKeys.join(', ')}`);
+    }
+    if (extraKeys.length) {
+      problems.push(`has unexpected keys: ${extraKeys.join(', ')}`);
+    }
+
+    super(`Row ${rowIndex} does not match the keys of row 0. It ${problems.join(' and ')}`);
+    this.name = this.type;
+
+    /**
+     * Index of the offending dictionary
+     */
+    this.rowIndex = rowIndex;
+
+    /**
+     * Keys the offending dictionary is missing
+     */
+    this.missingKeys = missingKeys;
+
+    /**
+     * Keys the offending dictionary has that the first one does not
+     */
+    this.extraKeys = extraKeys;
+  }
+}
+
+/**
+ * Error class for table operations that would affect every row because their filter keys are
+ * missing, empty or entirely `undefined`. Thrown instead of running the operation, unless every
+ * row is explicitly requested with `{all: true}`
+ */
+class UnsafeFilterError extends PgEnhancedError {
+  type = 'UnsafeFilterError';
+
+  /**
+   * @param {string} operation The operation that was refused, such as `delete`
+   * @param {string} table Name of the table the operation was run on
+   * @param {import('../sql/utils/examine-filter-keys.js').ExamineFilterKeysResults} examination
+   *  Results of examining the filter keys
+   */
+  constructor(operation, table, examination) {
+    const {
+      areFilterKeysFalsy, areFilterKeysEmpty, areAllFilterKeysUndefined, areEmptyStringFilterKeys,
+    } = examination;
+
+    let problem = 'has undefined values';
+    if (areFilterKeysFalsy) {
+      problem = 'is missing';
+    } else if (areFilterKeysEmpty) {
+      problem = 'has no keys';
+    } else if (areAllFilterKeysUndefined) {
+      problem = 'only has undefined values';
+    } else if (areEmptyStringFilterKeys) {
+      problem = 'has empty string values';
+    }
+
+    super(`Refusing to ${operation} rows in "${table}" because the filter ${problem}. Use {all: true} to ${operation} every row`);
+    this.name = this.type;
+
+    /**
+     * The operation that was refused
+     */
+    this.operation = operation;
+
+    /**
+     * Name of the table the operation was run on
+     */
+    this.table = table;
   }
 }
 
 module.exports = {
+  CheckViolationError,
+  ConnectionError,
+  CredentialsError,
   DBError,
+  ForeignKeyViolationError,
+  InvalidPageTokenError,
+  MigrationError,
+  MismatchedKeysError,
+  NotNullViolationError,
+  PgEnhancedError,
+  QueryCanceledError,
+  QueryTimeoutError,
+  SerializationFailureError,
+  StatementTimeoutError,
+  TooManyConnectionsError,
+  UniqueViolationError,
+  UnsafeFilterError,
+  ValueTooLongError,
 };
@@ -0,0 +1,145 @@
+/** @typedef {import('pg').DatabaseError} DatabaseError */
+
+const DB_ERROR_CODES = require('../db-error-codes.js');
+
+/**
+ * Error codes for each [SQLSTATE](https://www.postgresql.org/docs/current/errcodes-appendix.html)
+ * that gets its own classification
+ */
+const sqlStateCodes = {
+  '08000': DB_ERROR_CODES.CONNECTION_FAILURE,
+  '08001': DB_ERROR_CODES.CONNECTION_FAILURE,
+  '08003': DB_ERROR_CODES.CONNECTION_FAILURE,
+  '08004': DB_ERROR_CODES.CONNECTION_FAILURE,
+  '08006': DB_ERROR_CODES.CONNECTION_FAILURE,
+  '22001': DB_ERROR_CODES.VALUE_TOO_LONG,
+  '23502': DB_ERROR_CODES.NOT_NULL_VIOLATION,
+  '23503': DB_ERROR_CODES.FOREIGN_KEY_VIOLATION,
+  '23505': DB_ERROR_CODES.UNIQUE_VIOLATION,
+  '23514': DB_ERROR_CODES.CHECK_VIOLATION,
+  '40001': DB_ERROR_CODES.SERIALIZATION_FAILURE,
+  '40P01': DB_ERROR_CODES.DEADLOCK_DETECTED,
+  '42703': DB_ERROR_CODES.UNDEFINED_COLUMN,
+  '42P01': DB_ERROR_CODES.UNDEFINED_TABLE,
+  '53300': DB_ERROR_CODES.TOO_MANY_CONNECTIONS,
+  '57014': DB_ERROR_CODES.QUERY_CANCELED,
+  '57P01': DB_ERROR_CODES.CONNECTION_FAILURE,
+  '57P02': DB_ERROR_CODES.CONNECTION_FAILURE,
+  '57P03': DB_ERROR_CODES.CONNECTION_FAILURE,
+};
+
+/**
+ * Error codes for Node system errors, which are raised when a connection cannot be made or is
+ * lost at the network level
+ */
+const systemErrorCodes = {
+  EAI_AGAIN: DB_ERROR_CODES.CONNECTION_FAILURE,
+  ECONNREFUSED: DB_ERROR_CODES.CONNECTION_FAILURE,
+  ECONNRESET: DB_ERROR_CODES.CONNECTION_FAILURE,
+  ENOTFOUND: DB_ERROR_CODES.CONNECTION_FAILURE,
+  EPIPE: DB_ERROR_CODES.CONNECTION_FAILURE,
+  ETIMEDOUT: DB_ERROR_CODES.CONNECTION_FAILURE,
+};
+
+/**
+ * Error codes for error messages that can be recognized when there is no SQLSTATE available,
+ * such as errors emitted by the `pg` client itself or errors that have been serialized
+ */
+const messageCodes = [
+  [/^sorry, too many clients already$/, DB_ERROR_CODES.TOO_MANY_CONNECTIONS],
+  [/^Query read timeout$/, DB_ERROR_CODES.QUERY_TIMEOUT],
+  [/^canceling statement due to statement timeout$/, DB_ERROR_CODES.STATEMENT_TIMEOUT],
+  [/^canceling statement due to user request$/, DB_ERROR_CODES.QUERY_CANCELED],
+  [/^UNDEFINED_VALUE: /, DB_ERROR_CODES.UNDEFINED_VALUE],
+  [/^duplicate key value violates unique constraint/, DB_ERROR_CODES.UNIQUE_VIOLATION],
+  [/violates foreign key constraint/, DB_ERROR_CODES.FOREIGN_KEY_VIOLATION],
+  [/^null value in column ".+?" .*violates not-null constraint$/, DB_ERROR_CODES.NOT_NULL_VIOLATION],
+  [/violates check constraint/, DB_ERROR_CODES.CHECK_VIOLATION],
+  [/^value too long for type/, DB_ERROR_CODES.VALUE_TOO_LONG],
+  [/^could not serialize access/, DB_ERROR_CODES.SERIALIZATION_FAILURE],
+  [/^deadlock detected$/, DB_ERROR_CODES.DEADLOCK_DETECTED],
+  [/^relation ".+?" does not exist$/, DB_ERROR_CODES.UNDEFINED_TABLE],
+  [/^column ".+?" .*does not exist$/, DB_ERROR_CODES.UNDEFINED_COLUMN],
+  [/^Connection terminated/, DB_ERROR_CODES.CONNECTION_FAILURE],
+  [/^Client (has encountered a connection error|was closed) and is not queryable$/, DB_ERROR_CODES.CONNECTION_FAILURE],
+  [/^timeout expired$/, DB_ERROR_CODES.CONNECTION_FAILURE],
+];
+
+/**
+ * Parses the key columns and values out of an error detail string, such as the
+ * `Key (id)=(5) already exists.` detail given for unique violations
+ *
+ * @param {string=} detail The error detail
+ *
+ * @returns {Object<string, string>|undefined} The key values, keyed by column name
+ */
+const parseDetailKeyValues = (detail) => {
+  const detailResult = /^Key \((.+?)\)=\((.*)\)/.exec(detail || '');
+  if (!detailResult) {
+    return undefined;
+  }
+
+  const [, keyString, valueString] = detailResult;
+  const keys = keyString.split(', ');
+  const values = valueString.split(', ');
+
+  // Values that contain commas make it impossible to tell where each value ends, so fall back
+  // to a single entry with everything in it
+  if (keys.length !== values.length) {
+    return {[keyString]: valueString};
+  }
+
+  return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+};
+
+/**
+ * @typedef ClassifyDbErrorResults
+ * @property {string} code One of the `DB_ERROR_CODES`
+ * @property {string=} sqlState The SQLSTATE of the error, if it has one
+ * @property {string=} table Table the error relates to, if known
+ * @property {string=} column Column the error relates to, if known
+ * @property {string=} constraint Constraint that was violated, if known
+ * @property {Object<string, string>=} keyValues Key columns and values parsed from the error
+ *  detail, if there are any
+ */
+
+/**
+ * Takes an error from pg and classifies it using its SQLSTATE, falling back to analyzing the
+ * error message if it does not have a recognized SQLSTATE
+ *
+ * @param {DatabaseError|Error} error
+ *
+ * @returns {ClassifyDbErrorResults}
+ */
+const classifyDbError = (error) => {
+  // SQLSTATEs are always five characters and include at least one digit, which tells them apart
+  // from Node system error codes like `EPIPE`
+  const sqlState = typeof error?.code === 'string' && /^(?=.*\d)[0-9A-Z]{5}$/.test(error.code) ?
+    error.code :
+    undefined
+  ;
+
+  let code = sqlStateCodes[sqlState] || systemErrorCodes[error?.code];
+
+  // Statement timeouts and cancellations share a SQLSTATE, so they can only be told apart by
+  // their message
+  if (code === DB_ERROR_CODES.QUERY_CANCELED && /statement timeout/.test(error?.message || '')) {
+    code = DB_ERROR_CODES.STATEMENT_TIMEOUT;
+  }
+
+  if (!code) {
+    const message = error?.message || '';
+    code = messageCodes.find(([regex]) => regex.test(message))?.[1] || DB_ERROR_CODES.UNKNOWN;
+  }
+
+  return {
+    code,
+    sqlState,
+    table: error?.table,
+    column: error?.column,
+    constraint: error?.constraint,
+    keyValues: parseDetailKeyValues(error?.detail),
+  };
+};
+
+module.exports = classifyDbError;
@@ -0,0 +1,106 @@
+const globalConfig = require('../../../config/global.config.js');
+const isSensitiveKey = require('../../sql/utils/is-sensitive-key.js');
+const redactValues = require('../../sql/utils/redact-values.js');
+
+/**
+ * Escapes a string so that it can be matched literally inside of a regular expression
+ *
+ * @param {string} str
+ */
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Converts a query value into the form Postgres is most likely to use when echoing it back in an
+ * error message or detail
+ *
+ * @param {*} value
+ *
+ * @returns {string}
+ */
+const stringifyValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Redacts the values of sensitive key columns from an error detail in the form
+ * `Key (email)=(voter@example.com) already exists.`
+ *
+ * @param {string} detail
+ * @param {string} placeholder
+ * @param {string[]} sensitiveKeys Patterns matching the names of sensitive columns
+ *
+ * @returns {string}
+ */
+const redactDetailKeys = (detail, placeholder, sensitiveKeys) => {
+  return detail.replace(/^Key \((.+?)\)=\((.*)\)/, (match, keyString, valueString) => {
+    const keys = keyString.split(', ');
+    const values = valueString.split(', ');
+    if (!keys.some(key => isSensitiveKey(key, sensitiveKeys))) {
+      return match;
+    }
+
+    // Values that contain commas make it impossible to tell which value belongs to which key, so
+    // everything is redacted
+    const redactedValues = keys.length === values.length ?
+      values.map((value, i) => isSensitiveKey(keys[i], sensitiveKeys) ? placeholder : value) :
+      [placeholder]
+    ;
+    return `Key (${keyString})=(${redactedValues.join(', ')})`;
+  });
+};
+
+/**
+ * Attaches the (redacted) query parameters to an error from pg, and removes sensitive values from
+ * its message and detail, which Postgres sometimes echoes values back in. Values are considered
+ * sensitive if they are at one of the sensitive indexes, or if they are reported under a column
+ * matching `PG_ENHANCED_REDACTED_KEYS`. The error is modified in place
+ *
+ * @param {Error & {detail?: string, parameters?: *[]}} error The error to redact
+ * @param {*[]=} values The values provided with the query
+ * @param {number[]=} sensitiveIndexes Indexes of the values that are sensitive
+ * @param {typeof globalConfig=} config Settings to read the placeholder and sensitive keys from
+ *
+ * @returns {Error} The same error
+ */
+const redactError = (error, values, sensitiveIndexes = [], config = globalConfig) => {
+  const placeholder = config.PG_ENHANCED_REDACTED_PLACEHOLDER;
+  error.parameters = redactValues(values, sensitiveIndexes, config);
+
+  const sensitiveStrings = sensitiveIndexes
+    .map(index => values[index])
+    .filter(value => value !== null && typeof value !== 'undefined')
+    .map(stringifyValue)
+    .filter(Boolean)
+  ;
+
+  if (typeof error.detail === 'string') {
+    let detail = redactDetailKeys(error.detail, placeholder, config.PG_ENHANCED_REDACTED_KEYS);
+
+    // Values in details are separated by parentheses, commas and spaces, as in
+    // `Failing row contains (1, voter@example.com, null).`
+    for (const str of sensitiveStrings) {
+      const regex = new RegExp(`(^|[(,\\s"])${escapeRegExp(str)}(?=$|[),\\s"])`, 'g');
+      detail = detail.replace(regex, (match, prefix) => prefix + placeholder);
+    }
+    error.detail = detail;
+  }
+
+  // Messages only ever include values in double quotes, as in
+  // `invalid input syntax for type integer: "abc"`. The stack starts with the message, so it
+  // needs the same treatment
+  for (const field of ['message', 'stack']) {
+    if (typeof error[field] !== 'string') {
+      continue;
+    }
+    for (const str of sensitiveStrings) {
+      error[field] = error[field].split(`"${str}"`).join(`"${placeholder}"`);
+    }
+  }
+
+  return error;
+};
+
+module.exports = redactError;
@@ -7,24 +7,56 @@ class EscapeBase {
    */
   value;
 
-  constructor(value) {
+  /**
+   * Additional options that control how the value is escaped, if the escape client has any
+   */
+  options;
+
+  constructor(value, options = {}) {
     this.value = value;
+    this.options = options;
   }
 }
 
 /**
  * Represents a dictionary of parameters in PostgreSQL meant to be used in a WHERE clause. Will
  * be parsed into separate parameterized values joined by an AND statement in the form
- * `AND key1=$1 AND key2=$2`
+ * `AND key1=$1 AND key2=$2`. Values can also be objects keyed by operator, such as
+ * `{age: {'>=': 18}}`, in which case each operator adds its own condition
  */
 class EscapeAndDictionary extends EscapeBase {}
 
+/**
+ * @typedef EscapeTypeOpts
+ * @property {string=} type PostgreSQL type to cast the parameters to, such as `int` or `uuid`
+ */
+
 /**
  * Represents an array of parameters, to be rendered as a parameterized [literal array](https://www.postgresql.org/docs/current/arrays.html#ARRAYS-INPUT)
  * in the final SQL. Example: `ARRAY[$1, $2, $3]`
  */
 class EscapeArrayParameters extends EscapeBase {}
 
+/**
+ * Represents an array sent as a single parameter with an explicit array type cast, which works
+ * even when the array is empty. Example: `$1::int[]`
+ */
+class EscapeTypedArray extends EscapeBase {}
+
+/**
+ * Represents a list of values to match against. Small lists are rendered as `IN ($1, $2, $3)`,
+ * while empty lists and lists with more than `PG_ENHANCED_IN_LIST_MAX_PARAMETERS` values are
+ * rendered as a single array parameter in the form `= ANY($1::type[])`
+ */
+class EscapeIn extends EscapeBase {}
+
+/**
+ * Represents a value sent as a JSON parameter, in the form `$1::json` or `$1::jsonb`. The value is
+ * always serialized with `JSON.stringify`, so arrays are sent as JSON arrays rather than
+ * PostgreSQL arrays
+ */
+class EscapeJson extends EscapeBase {}
+
 /**
  * Represents a dictionary of parameters in PostgreSQL. Will be parsed into separate
  * parameterized values for each key-value pair in the dictionary object in the form
@@ -44,30 +76,91 @@ class EscapeIdentifier extends EscapeBase {}
  */
 class EscapeParameter extends EscapeBase {}
 
+/**
+ * Represents raw SQL text. Will be placed directly into the final query without any escaping, so
+ * the value must never contain user input
+ */
+class EscapeRaw extends EscapeBase {}
+
+/**
+ * Represents a sensitive "Parameter" in PostgreSQL. Parsed the same way as a regular parameter,
+ * but the value is replaced with a placeholder in logs, error messages and error/result
+ * `parameters`. Can also be used as a value inside of dictionaries
+ */
+class EscapeSensitive extends EscapeBase {}
+
+/**
+ * @typedef EscapeKeysAndValuesOpts
+ * @property {'throw'|'default'=} mismatchedKeys What to do when the dictionaries in an array do
+ *  not all have the same keys. `throw` (the default) throws a `MismatchedKeysError` naming the
+ *  first offending dictionary. `default` uses every key found in any dictionary, filling in
+ *  missing (or `undefined`) values with `DEFAULT`
+ */
+
 /**
  * Represents a dictionary of parameters in PostgreSQL intended for use on INSERT queries. Will
  * be parsed into separate parameterized values for each key-value pair in the dictionary object,
  * in `(key1,key2) VALUES ($1,$2)` form. If an array of dictionary objects are provided, the
- * result will be in the form `(key1,key2) VALUES ($1,$2),($3,$4)`, using the first object in
- * the array as the key template
+ * result will be in the form `(key1,key2) VALUES ($1,$2),($3,$4)`. How dictionaries with
+ * different keys are handled is controlled by the `mismatchedKeys` option
  */
 class EscapeKeysAndValues extends EscapeBase{}
 
 /**
- * Similar to `keysAndValues`, represents a dictionary of parameter in PostgreSQL intended for
- * use on INSERT queries. However, in this case an "expiresIn" value can be provided that
- * will be used to fill out the "expiresAt" using in-database calculations, resulting in the
- * following form: `(key1, key2, expiresAt) VALUES ($1, $2, now() + $3::interval SECOND)
+ * Similar to `keysAndValues`, represents a dictionary (or array of dictionaries) of parameters in
+ * PostgreSQL intended for use on INSERT queries. However, in this case an "expiresIn" value can
+ * be provided for each row that will be used to fill out the "expiresAt" using in-database
+ * calculations, resulting in the following form:
+ * `(key1, key2, expiresAt) VALUES ($1, $2, now() + $3::interval SECOND)`
  */
 class EscapeKeysAndValuesWithExpiresIn extends EscapeBase {}
 
+/**
+ * @typedef {EscapeKeysAndValuesOpts & EscapeUpsertConflictOpts} EscapeUpsertOpts
+ */
+
+/**
+ * @typedef EscapeUpsertConflictOpts
+ * @property {string|string[]=} conflictTarget Column(s) of the unique constraint or index that
+ *  decides if a row conflicts. Required unless `doNothing` is `true`
+ * @property {string[]|'all'=} update Columns to update when a row conflicts. `all` (the default)
+ *  updates every column that is not part of the conflict target
+ * @property {boolean=} doNothing If `true`, conflicting rows are skipped instead of updated
+ * @property {EscapeFragment|EscapeRaw=} where Condition that must be true for a conflicting row
+ *  to be updated, such as ``fragment`"reasons"."updatedAt" < EXCLUDED."updatedAt"` ``. Must be a
+ *  `fragment` (whose arguments are escaped as usual) or an `escape.raw` value, plain strings are
+ *  rejected so that user input can not end up in the query text by accident
+ */
+
+/**
+ * Like `keysAndValues`, represents a dictionary (or array of dictionaries) intended for use on
+ * INSERT queries, but also renders an `ON CONFLICT` clause so that conflicting rows are updated
+ * instead, in the form `(key1,key2) VALUES ($1,$2) ON CONFLICT ("key1") DO UPDATE SET
+ * "key2"=EXCLUDED."key2"`
+ */
+class EscapeUpsert extends EscapeBase {}
+
+/**
+ * Represents a piece of SQL built with the `fragment` tag, to be embedded inside of another
+ * tagged template query. The value holds the string parts and arguments of the fragment, which
+ * are rendered along with the rest of the query so that parameters are numbered correctly
+ */
+class EscapeFragment extends EscapeBase {}
+
 module.exports = {
   EscapeBase,
   EscapeAndDictionary,
   EscapeArrayParameters,
+  EscapeTypedArray,
+  EscapeIn,
+  EscapeJson,
   EscapeDictionary,
   EscapeIdentifier,
   EscapeParameter,
+  EscapeRaw,
+  EscapeSensitive,
   EscapeKeysAndValues,
   EscapeKeysAndValuesWithExpiresIn,
+  EscapeUpsert,
+  EscapeFragment,
 };
@@ -1,21 +1,116 @@
 const awsXraySdk = require('aws-xray-sdk');
+const copyStreams = require('pg-copy-streams');
 const pg = require('pg');
+const { performance } = require('perf_hooks');
+const { PassThrough, finished } = require('stream');
+const { pipeline } = require('stream/promises');
 
+const CredentialProvider = require('../../credentials/credential-provider.js');
 const Cursor = require('pg-cursor');
-const { DBError } = require('../../models/errors.js');
+const errors = require('../../models/errors.js');
+const OpenTelemetryTracer = require('../../tracing/open-telemetry-tracer.js');
+const PgTable = require('./pg-table.js');
+const RdsIamCredentialProvider = require('../../credentials/rds-iam-credential-provider.js');
+const SecretCredentialProvider = require('../../credentials/secret-credential-provider.js');
+const XrayTracer = require('../../tracing/xray-tracer.js');
 const {
   EscapeAndDictionary,
   EscapeArrayParameters,
+  EscapeTypedArray,
+  EscapeIn,
+  EscapeJson,
   EscapeDictionary,
   EscapeIdentifier,
   EscapeParameter,
+  EscapeRaw,
+  EscapeSensitive,
   EscapeKeysAndValues,
   EscapeKeysAndValuesWithExpiresIn,
+  EscapeUpsert,
+  EscapeFragment,
 } = require('./escape-clients.js');
 
+const createRowTransformer = require('../utils/create-row-transformer.js');
+const decodePageToken = require('../utils/decode-page-token.js');
+const encodePageToken = require('../utils/encode-page-token.js');
+const enhanceCursor = require('../utils/enhance-cursor.js');
+const generateCopyStatement = require('../utils/generate-copy-statement.js');
+const getRetryDelay = require('../utils/get-retry-delay.js');
+const getRowKeys = require('../utils/get-row-keys.js');
+const generateBeginStatement = require('../utils/generate-begin-statement.js');
 const globalConfig = require('../../../config/global.config.js');
+const createConfig = require('../../config/create-config.js');
+const createCredentialedClient = require('../../credentials/utils/create-credentialed-client.js');
+const createPgConfig = require('../../config/create-pg-config.js');
 const parseTaggedTemplate = require('../utils/parse-tagged-template.js');
+const redactError = require('../../models/utils/redact-error.js');
+const redactValues = require('../utils/redact-values.js');
 const initXray = require('../../xray/init-xray.js');
+const isIdempotentStatement = require('../utils/is-idempotent-statement.js');
+
+const {
+  ConnectionError,
+  DBError,
+  PgEnhancedError,
+  QueryTimeoutError,
+  SerializationFailureError,
+  TooManyConnectionsError,
+} = errors;
+
+/**
+ * Maximum number of bind parameters PostgreSQL allows in a single statement
+ */
+const MAX_QUERY_PARAMETERS = 65535;
+
+/**
+ * Options for the statements the client sends on its own, such as `BEGIN` and `LISTEN`, so that
+ * the default query options of the client do not apply to them. Limits in particular must not
+ * apply, since limited queries run inside of a transaction of their own
+ */
+const CONTROL_QUERY_OPTS = {timeoutMs: undefined, signal: undefined, keyCase: undefined, rowMapper: undefined};
+
+/**
+ * Create an error like the one Postgres raises when a statement is canceled, for queries that are
+ * canceled before they are sent
+ *
+ * @returns {Error}
+ */
+const createCanceledError = () => {
+  const error = new Error('canceling statement due to user request');
+  error.code = '57014';
+  return error;
+};
+
+/**
+ * Classify an error thrown inside of a transaction. Errors from the database become `DBError`s,
+ * while errors from the application (including other `PgEnhancedError`s) are returned as-is so
+ * that callers can still tell them apart
+ *
+ * @param {Error} error
+ *
+ * @returns {Error}
+ */
+const classifyTransactionError = (error) => {
+  return error instanceof pg.DatabaseError ? DBError.from(error) : error;
+};
+
+/**
+ * Add a set of hooks to a list of hooks
+ *
+ * @param {PgClientHooks[]} hookList
+ * @param {PgClientHooks} hooks
+ *
+ * @returns {() => void} Function that removes the hooks from the list when called
+ */
+const addHooksTo = (hookList, hooks) => {
+  hookList.push(hooks);
+  return () => {
+    const index = hookList.indexOf(hooks);
+    if (index !== -1) {
+      hookList.splice(index, 1);
+    }
+  };
+};
 
 /**
  * Helpful escape wrappers
@@ -24,7 +119,11 @@ const escape = {
   /**
    * Represents a dictionary of parameters in PostgreSQL meant to be used in a WHERE clause. Will
    * be parsed into separate parameterized values joined by an AND statement in the form
-   * `AND key1=$1 AND key2=$2`
+   * `AND key1=$1 AND key2=$2`. Values can also be objects keyed by operator to use something other
+   * than equality, with one condition added for each operator. Supported operators are `=`, `!=`,
+   * `<>`, `<`, `<=`, `>`, `>=`, `LIKE`, `ILIKE`, `NOT LIKE`, `NOT ILIKE`, `IN`, `NOT IN` (which
+   * take an array, see `in`) and `IS NULL` (which takes a boolean, `false` for `IS NOT NULL`).
+   * Example: `{age: {'>=': 18, '<': 65}, name: {ILIKE: 'a%'}, deletedAt: {'IS NULL': true}}`
    *
    * @param {object} item Object to use as the dictionary
    */
@@ -38,6 +137,44 @@ const escape = {
    */
   arrayParameters: (item) => new EscapeArrayParameters(item),
 
+  /**
+   * Represents an array sent as a single parameter with an explicit array type cast, which works
+   * even when the array is empty. Example: `$1::int[]`
+   *
+   * @param {*[]} item The array to parameterize
+   * @param {string} type PostgreSQL type of the array elements, such as `int` or `uuid`
+   */
+  typedArray: (item, type) => new EscapeTypedArray(item, {type}),
+
+  /**
+   * Represents a list of values to match against, placed after the expression being matched.
+   * Small lists are rendered as `IN ($1, $2, $3)`, while empty lists and lists with more than
+   * `PG_ENHANCED_IN_LIST_MAX_PARAMETERS` values are rendered as `= ANY($1::type[])`.
+   * Example: ``sql`SELECT * FROM "voters" WHERE "id" ${escape.in(ids, 'int')}` ``
+   *
+   * @param {*[]} item The values to match against
+   * @param {string=} type PostgreSQL type of the values. Recommended, since Postgres cannot always
+   *  infer the type of an empty array
+   */
+  in: (item, type = undefined) => new EscapeIn(item, {type}),
+
+  /**
+   * Represents a value sent as a `json` parameter. The value is always serialized with
+   * `JSON.stringify`, so arrays are sent as JSON arrays rather than PostgreSQL arrays. `null` is
+   * sent as a database `NULL`
+   *
+   * @param {*} item The value to send as JSON
+   */
+  json: (item) => new EscapeJson(item, {type: 'json'}),
+
+  /**
+   * Represents a value sent as a `jsonb` parameter, the same way as `json`. Useful for JSONB
+   * operators such as containment. Example: ``sql`... WHERE "meta" @> ${escape.jsonb({state})}` ``
+   *
+   * @param {*} item The value to send as JSONB
+   */
+  jsonb: (item) => new EscapeJson(item, {type: 'jsonb'}),
+
   /**
    * Represents a dictionary of parameters in PostgreSQL. Will be parsed into separate
    * parameterized values for each key-value pair in the dictionary object in the form
@@ -63,26 +200,158 @@ const escape = {
    */
   parameter: (item) => new EscapeParameter(item),
 
+  /**
+   * Represents raw SQL text, which is placed directly into the final query without any escaping.
+   * This is the only way to place text into a query in strict mode (see `PG_ENHANCED_STRICT_SQL`),
+   * and the value must never contain user input
+   *
+   * @param {*} item The SQL text
+   */
+  raw: (item) => new EscapeRaw(item),
+
+  /**
+   * Represents a sensitive "Parameter" in PostgreSQL. Parsed the same way as `parameter`, but the
+   * value is replaced with a placeholder in logs, error messages and the `parameters` of errors
+   * and results. Can also be used for values inside of dictionaries, or in the `values` array of
+   * a regular query
+   *
+   * @param {*} item The item to parameterize
+   */
+  sensitive: (item) => new EscapeSensitive(item),
+
   /**
    * Represents a dictionary of parameters in PostgreSQL intended for use on INSERT queries. Will
    * be parsed into separate parameterized values for each key-value pair in the dictionary object,
    * in `(key1,key2) VALUES ($1,$2)` form. If an array of dictionary objects are provided, the
-   * result will be in the form `(key1,key2) VALUES ($1,$2),($3,$4)`, using the first object in
-   * the array as the key template
+   * result will be in the form `(key1,key2) VALUES ($1,$2),($3,$4)`. By default a
+   * `MismatchedKeysError` is thrown if the objects do not all have the same keys. Use
+   * `{mismatchedKeys: 'default'}` to use every key instead, filling in missing values with `DEFAULT`
+   *
+   * @param {object|object[]} item Object to use as the key and value dictionary
+   * @param {import('./escape-clients.js').EscapeKeysAndValuesOpts} opts Additional options
+   */
+  keysAndValues: (item, opts) => new EscapeKeysAndValues(item, opts),
+
+  /**
+   * Similar to `keysAndValues`, represents a dictionary (or array of dictionaries) of parameters
+   * in PostgreSQL intended for use on INSERT queries. However, in this case an "expiresIn" value
+   * (in seconds) can be provided for each row that will be used to fill out the "expiresAt" and
+   * "expiresAtEpoch" columns using in-database calculations, resulting in the following form:
+   * `(key1, key2, expiresAt, expiresAtEpoch) VALUES ($1, $2, now() + $3::interval SECOND, ...)`.
+   * Rows without an "expiresIn" value use their own "expiresAt" and "expiresAtEpoch" values, or
+   * `DEFAULT` if they do not have them
    *
    * @param {object|object[]} item Object to use as the key and value dictionary
+   * @param {import('./escape-clients.js').EscapeKeysAndValuesOpts} opts Additional options
+   */
+  keysAndValuesWithExpiresIn: (item, opts) => new EscapeKeysAndValuesWithExpiresIn(item, opts),
+
+  /**
+   * Condition that only matches rows that have not expired, meaning their "expiresAt" column is
+   * either `null` or in the future. Example: ``sql`SELECT * FROM "sessions" WHERE ${escape.notExpired()}` ``
+   *
+   * @param {{column?: string, table?: string}} opts `column` is the name of the expiration column,
+   *  which defaults to "expiresAt". `table` qualifies the column with a table name or alias
+   *
+   * @returns {EscapeFragment}
    */
-  keysAndValues: (item) => new EscapeKeysAndValues(item),
+  notExpired: (opts = {}) => {
+    const {column = 'expiresAt', table} = opts;
+    const identifier = table ?
+      fragment`${escape.identifier(table)}.${escape.identifier(column)}` :
+      fragment`${escape.identifier(column)}`
+    ;
+    return fragment`(${identifier} IS NULL OR ${identifier} > now())`;
+  },
 
   /**
-   * Similar to `keysAndValues`, represents a dictionary of parameter in PostgreSQL intended for
-   * use on INSERT queries. However, in this case an "expiresIn" value can be provided that
-   * will be used to fill out the "expiresAt" using in-database calculations, resulting in the
-   * following form: `(key1, key2, expiresAt) VALUES ($1, $2, now() + $3::interval SECOND)
+   * Like `keysAndValues`, represents a dictionary (or array of dictionaries) intended for use on
+   * INSERT queries, but also renders an `ON CONFLICT` clause so that conflicting rows are updated
+   * instead, in the form `(key1,key2) VALUES ($1,$2) ON CONFLICT ("key1") DO UPDATE SET
+   * "key2"=EXCLUDED."key2"`. Use `{doNothing: true}` to skip conflicting rows instead
    *
-   * @param {object} item Object to use as the key and value dictionary
+   * @param {object|object[]} item Object to use as the key and value dictionary
+   * @param {import('./escape-clients.js').EscapeUpsertOpts} opts Options for the conflict clause
    */
-  keysAndValuesWithExpiresIn: (item) => new EscapeKeysAndValuesWithExpiresIn(item),
+  upsert: (item, opts) => new EscapeUpsert(item, opts),
+};
+
+/**
+ * Tag used to build a piece of SQL that can be embedded inside of `sql` and `cursorSql` queries,
+ * or inside of other fragments. Arguments are handled the same way as they are in a full query,
+ * with parameters renumbered to fit wherever the fragment ends up.
+ * Example: ``sql`SELECT * FROM "voters" WHERE ${fragment`"state"=${escape.parameter(state)}`}` ``
+ *
+ * @param {string[]} strings Array of string parts
+ * @param  {...any} args Arguments that go in between the string parts
+ *
+ * @returns {EscapeFragment}
+ */
+const fragment = (strings, ...args) => new EscapeFragment({strings, args});
+
+/**
+ * Fragment that renders nothing, useful for clauses that are only sometimes needed.
+ * Example: ``sql`SELECT * FROM "voters" ${state ? fragment`WHERE ...` : fragment.empty}` ``
+ */
+fragment.empty = fragment``;
+
+/**
+ * Join fragments together with a separator into a single fragment. Empty and `undefined`
+ * fragments are left out, so conditional clauses can be joined without dangling separators
+ *
+ * @param {EscapeFragment[]} fragments The fragments to join
+ * @param {string} separator Raw SQL placed between each fragment. This is not escaped, so it must
+ *  never contain user input
+ *
+ * @returns {EscapeFragment}
+ */
+fragment.join = (fragments, separator = ', ') => {
+  const included = fragments.filter((f) => {
+    if (typeof f === 'undefined') {
+      return false;
+    }
+    const {strings, args} = f.value;
+    return args.length > 0 || strings.join('').trim() !== '';
+  });
+
+  if (!included.length) {
+    return fragment.empty;
+  }
+
+  const strings = ['', ...included.slice(1).map(() => separator), ''];
+  return new EscapeFragment({strings, args: included});
+};
+
+/**
+ * Create the condition that selects the rows after the last row of a page, for keyset pagination.
+ * Columns that are all sorted in the same direction are compared together as a row, which can use
+ * an index on the sort columns
+ *
+ * @param {{identifier: EscapeFragment, direction: 'ASC'|'DESC'}[]} sortColumns
+ * @param {*[]} lastValues Values of the sort columns for the last row of the page
+ *
+ * @returns {EscapeFragment}
+ */
+const createKeysetCondition = (sortColumns, lastValues) => {
+  const params = lastValues.map(value => fragment`${escape.parameter(value)}`);
+  const getOperator = (direction) => escape.raw(direction === 'ASC' ? '>' : '<');
+
+  const [{direction: firstDirection}] = sortColumns;
+  if (sortColumns.every(({direction}) => direction === firstDirection)) {
+    const identifiers = fragment.join(sortColumns.map(({identifier}) => identifier));
+    return fragment`(${identifiers}) ${getOperator(firstDirection)} (${fragment.join(params)})`;
+  }
+
+  // Mixed directions cannot be compared as a row, so each column is compared on its own with every
+  // column before it being equal
+  const alternatives = sortColumns.map(({identifier, direction}, i) => {
+    const equalities = sortColumns.slice(0, i).map((column, j) => {
+      return fragment`${column.identifier} = ${params[j]}`;
+    });
+    const comparison = fragment`${identifier} ${getOperator(direction)} ${params[i]}`;
+    return fragment`(${fragment.join([...equalities, comparison], ' AND ')})`;
+  });
+  return fragment`(${fragment.join(alternatives, ' OR ')})`;
 };
 
 /**
@@ -92,14 +361,39 @@ class PgClient {
   // ---- STATIC ----
   /**
    * @private
-   * Global list of clients that are currently open (that is, `connect` has been run on them)
+   * @type {PgClient[]}
+   * Global list of clients and pools that are currently open (that is, `connect` has been run on
+   * them)
    */
   static _openClients = [];
 
+  /**
+   * @private
+   * @type {PgClientHooks[]}
+   * Hooks that are run for queries made by every client
+   */
+  static _hooks = [];
+
   /**
    * Error classes thrown when there are errors
    */
-  static errors = {DBError};
+  static errors = errors;
+
+  /**
+   * Object IDs of the built-in PostgreSQL data types, useful for providing type parser overrides.
+   * Example: `{typeParsers: {[PgClient.types.INT8]: Number}}`
+   */
+  static types = pg.types.builtins;
+
+  /**
+   * Built-in tracers that can be provided with the `tracer` option
+   */
+  static tracers = {OpenTelemetryTracer, XrayTracer};
+
+  /**
+   * Built-in credential providers that can be provided with the `credentials` option
+   */
+  static credentials = {CredentialProvider, RdsIamCredentialProvider, SecretCredentialProvider};
 
   // -- Static Methods --
   /**
@@ -109,7 +403,7 @@ class PgClient {
    * @param {PgClient} client The client to close
    */
   static async _closeClient(client) {
-    const clientIndex = PgClient._openClients.indexOf(client._pgClient);
+    const clientIndex = PgClient._openClients.indexOf(client);
     if (clientIndex !== -1) {
       PgClient._openClients.splice(clientIndex, 1);
     }
@@ -122,6 +416,39 @@ class PgClient {
    */
   static escape = escape;
 
+  /**
+   * Tag used to build composable SQL fragments, along with `fragment.join` and `fragment.empty`
+   * helpers. See `fragment` for details
+   */
+  static fragment = fragment;
+
+  /**
+   * Add lifecycle hooks that are run for queries made by every client. See `PgClientHooks`
+   *
+   * @param {PgClientHooks} hooks
+   *
+   * @returns {() => void} Function that removes the hooks when called
+   */
+  static addHooks(hooks) {
+    return addHooksTo(PgClient._hooks, hooks);
+  }
+
+  /**
+   * Create a client backed by a [pg.Pool](https://node-postgres.com/apis/pool) instead of a single
+   * connection. Pooled clients expose the same query interface, but check out a dedicated
+   * connection from the pool for cursors and transactions
+   *
+   * @param {pg.PoolConfig} pgConfig Configurations to pass to the internal pool on creation
+   * @param {PgClientOpts} opts Additional options
+   *
+   * @returns {import('./pg-pool.js')}
+   */
+  static pool(pgConfig = {}, opts = {}) {
+    // Required here to avoid a circular dependency, since the pool class extends this one
+    const PgPool = require('./pg-pool.js');
+    return new PgPool(pgConfig, opts);
+  }
+
   // ---- INSTANCED ----
   /**
    * @private
@@ -135,6 +462,35 @@ class PgClient {
    */
   _hasConnected = false;
 
+  /**
+   * @private
+   * @type {PgClientHooks[]}
+   * Hooks that are run for queries made by this client
+   */
+  _hooks = [];
+
+  /**
+   * @private
+   * @type {Map<string, Set<PgClientNotificationHandler>>}
+   * Handlers for notifications, keyed by the channel they are listening to
+   */
+  _listeners = new Map();
+
+  /**
+   * @private
+   * @type {typeof globalConfig}
+   * Settings used by this client, which are the global settings combined with any overrides
+   * provided with the `config` option
+   */
+  _config = globalConfig;
+
+  /**
+   * @private
+   * @type {CredentialProvider=}
+   * Provider of the credentials used every time a connection is opened, if there is one
+   */
+  _credentialProvider = null;
+
   /**
    * @private
    * @type {PgClientOpts}
@@ -142,6 +498,21 @@ class PgClient {
    */
   _opts;
 
+  /**
+   * @private
+   * Number of transactions currently open on this client. Anything above 1 means that nested
+   * transactions are being handled using savepoints
+   */
+  _transactionDepth = 0;
+
+  /**
+   * @private
+   * @type {Error=}
+   * Error of the last rollback that failed, which leaves the connection inside of the
+   * transaction. Cleared whenever a new transaction begins
+   */
+  _rollbackError;
+
   /**
    * @private
    * @type {pg.Client}
@@ -156,11 +527,56 @@ class PgClient {
    */
   _pgConfig;
 
+  /**
+   * @private
+   * @type {PgClientQueryOpts}
+   * Default options applied to every query made with this client
+   */
+  _queryOpts;
+
+  /**
+   * @private
+   * If the client is currently trying to reconnect after its connection dropped
+   */
+  _reconnecting = false;
+
+  /**
+   * @private
+   * @type {PgClientRetryPolicy}
+   * Retry policy overrides for this client
+   */
+  _retryPolicy;
+
+  /**
+   * @private
+   * Duration in ms at or above which a query is flagged as slow in query hook events
+   */
+  _slowQueryMs;
+
+  /**
+   * @private
+   * @type {PgClientTracer}
+   * Tracer used to instrument the internal client and trace queries
+   */
+  _tracer;
+
+  /**
+   * @private
+   * @type {pg.Client=}
+   * The internal client that connection events are currently being watched on
+   */
+  _watchedPgClient = null;
+
   /**
    * Wrappers that are useful for escaping dynamic query string values
    */
   escape = escape;
 
+  /**
+   * Tag used to build composable SQL fragments. See `PgClient.fragment`
+   */
+  fragment = fragment;
+
   /**
    * If this client has been closed
    */
@@ -171,9 +587,124 @@ class PgClient {
    * Additional options for generating a PgClient instance
    * @property {bool=} autoClose If this client should be included in the automatic open client
    *  closing system when running in a test environment
+   * @property {PgClientTracer=} tracer Tracer used to instrument the client and trace queries,
+   *  such as `new PgClient.tracers.OpenTelemetryTracer()`. Defaults to an `XrayTracer` using the
+   *  `awsXray` and `segment` options
    * @property {awsXray=} awsXray AWS XRay lib to use when performing tracing operations
    * @property {awsXray.SegmentLike=} segment Segment to capture the `pg` client under. Will
-   *  not be captured if this value is not provided
+   *  not be captured if this value is not provided. Ignored if a `tracer` is provided
+   * @property {pg.ClientBase=} pgClient An already connected `pg` client to wrap instead of
+   *  creating a new one. Used for connections that have been checked out of a pool
+   * @property {PgClientQueryOpts=} queryOpts Default options applied to every query. Options
+   *  provided with a specific query take precedence. Statements the client sends on its own, such
+   *  as `BEGIN` and `LISTEN`, do not use them
+   * @property {PgClientHooks|PgClientHooks[]=} hooks Lifecycle hooks run for every query made by
+   *  this client, in addition to any global hooks
+   * @property {number=} slowQueryMs Duration in ms at or above which a query is flagged as slow in
+   *  query hook events. Defaults to `PG_ENHANCED_SLOW_QUERY_MS`
+   * @property {PgClientRetryPolicy=} retry How connections and queries are retried when they fail
+   *  with a retryable error
+   * @property {Partial<typeof globalConfig>=} config Overrides of the global settings for this
+   *  client, keyed by setting name, such as `{DATABASE_URL, PG_ENHANCED_LOG_SQL: true}`. The
+   *  `AWS_XRAY_LOG_LEVEL` and `AWS_XRAY_CONTEXT_MISSING_STRATEGY` settings apply to the whole
+   *  process and cannot be overridden per client
+   * @property {CredentialProvider|import('../../credentials/credential-provider.js').FetchCredentials=} credentials
+   *  Provider of the user and password, called every time a connection is opened (including
+   *  reconnects and new pooled connections) instead of using `POSTGRES_PASSWORD`. Can be one of
+   *  `PgClient.credentials` or an async function, which is wrapped in a `CredentialProvider`
+   */
+
+  /**
+   * @typedef PgClientRetryPolicy
+   * Controls how connections and queries are retried. Connecting is always safe to retry, but
+   * queries are only retried if they are idempotent (see the `idempotent` query option) and are
+   * not part of a transaction
+   * @property {number=} maxAttempts Maximum number of attempts, including the first one. Defaults
+   *  to `PG_ENHANCED_RETRY_MAX_ATTEMPTS`
+   * @property {number=} baseDelayMs Delay before the first retry, which doubles with every attempt
+   *  and has random jitter applied. Defaults to `PG_ENHANCED_RETRY_BASE_DELAY_MS`
+   * @property {number=} maxDelayMs Maximum delay between retries. Defaults to
+   *  `PG_ENHANCED_RETRY_MAX_DELAY_MS`
+   * @property {Function[]=} retryableErrors `DBError` classes that are retried. Defaults to
+   *  `ConnectionError`, `TooManyConnectionsError` and `QueryTimeoutError`
+   * @property {boolean=} retryNonIdempotent If `true`, queries are retried even if they are not
+   *  idempotent, which can cause them to run more than once. Defaults to `false`
+   */
+
+  /**
+   * @typedef PgClientQueryEvent
+   * Information about a query, passed to query hooks. Parameter values are never included
+   * @property {string} text The query text
+   * @property {number} parameterCount Number of parameters provided with the query
+   * @property {number=} durationMs How long the query took, including connecting if the client was
+   *  not already connected. Not available before the query is sent
+   * @property {boolean=} slow If the duration is at or above the slow query threshold
+   * @property {number|null=} rowCount Number of rows returned or affected by the query
+   * @property {string=} command The command tag of the query, such as `SELECT` or `INSERT`
+   * @property {import('../../models/errors.js').DBError=} error The error the query failed with
+   */
+
+  /**
+   * @typedef PgClientTracer
+   * Traces the queries made by a client. Both methods are optional
+   * @property {(pgLib: typeof pg) => typeof pg=} instrumentPg Called with the `pg` library every
+   *  time an internal client is created, returning the library to create the client with
+   * @property {(query: PgClientTracerQuery) => PgClientQuerySpan=} startQuerySpan Called right
+   *  before a query is sent, returning a span that is ended once the query finishes
+   */
+
+  /**
+   * @typedef PgClientTracerQuery
+   * @property {string} text The query text. Parameter values are never included
+   * @property {number} parameterCount Number of parameters provided with the query
+   * @property {pg.ClientConfig} pgConfig Configurations of the client sending the query
+   */
+
+  /**
+   * @typedef PgClientQuerySpan
+   * @property {(result: {rowCount?: number|null, command?: string, error?: Error}) => void} end
+   *  Called once the query finishes, with the row count and command tag, or the error if it failed
+   */
+
+  /**
+   * @typedef PgClientHooks
+   * Functions called at different points of a query's lifecycle. Hooks are called synchronously
+   * but are not waited on, and errors thrown by hooks are logged rather than failing the query
+   * @property {(event: PgClientQueryEvent) => void=} beforeQuery Called right before a query is
+   *  sent, with the text and parameter count
+   * @property {(event: PgClientQueryEvent) => void=} afterQuery Called after a query succeeds,
+   *  with the duration, row count and command tag
+   * @property {(event: PgClientQueryEvent) => void=} onError Called after a query fails, with the
+   *  duration and error
+   */
+
+  /**
+   * @typedef {import('../utils/create-row-transformer.js').RowTransformOpts & PgClientCoreQueryOpts} PgClientQueryOpts
+   * Options that change how a query is performed or how its results are returned
+   */
+
+  /**
+   * @typedef PgClientCoreQueryOpts
+   * @property {Object<number, (value: string) => *>=} typeParsers Functions used to parse raw
+   *  values of specific data types, keyed by the type's object ID (see `PgClient.types`)
+   * @property {number=} batchSize Number of rows read at a time when iterating over or streaming
+   *  a cursor. Defaults to `PG_ENHANCED_CURSOR_BATCH_SIZE`
+   * @property {boolean=} idempotent If the query can safely be run more than once, which allows it
+   *  to be retried. By default only `SELECT`, `SHOW`, `TABLE` and `VALUES` statements are
+   *  considered idempotent, unless they call built-in functions with side effects like `nextval`.
+   *  Queries calling functions of your own that modify data must set this to `false`
+   * @property {PgClientRetryPolicy=} retry Retry policy overrides for this query
+   * @property {number=} timeoutMs Maximum amount of time the statement can run for, enforced by the
+   *  server using a local `statement_timeout`. Statements that run too long fail with a
+   *  `StatementTimeoutError`. The query is run inside of a transaction (or savepoint) so that the
+   *  timeout only applies to it
+   * @property {AbortSignal=} signal Signal used to cancel the statement. When it is aborted the
+   *  statement is canceled using `pg_cancel_backend` from a separate connection, and the query
+   *  fails with a `QueryCanceledError`
+   * @property {boolean=} strict If values interpolated into `sql` and `cursorSql` templates without
+   *  an escape wrapper are sent as parameters (with plain objects sent as `jsonb`) instead of being
+   *  placed into the query text, and bare `undefined` values throw instead of being left out.
+   *  Defaults to `PG_ENHANCED_STRICT_SQL`
    */
 
   /**
@@ -181,17 +712,27 @@ class PgClient {
    * @param {PgClientOpts} opts Additional options
    */
   constructor(pgConfig = {}, opts = {}) {
-    const {autoClose = true, awsXray = awsXraySdk, segment = null} = opts;
+    const config = createConfig(opts.config);
+    const {
+      autoClose = true, awsXray = awsXraySdk, segment = null, pgClient = null, queryOpts = {},
+      hooks = [], slowQueryMs = config.PG_ENHANCED_SLOW_QUERY_MS,
+      tracer = new XrayTracer({awsXray, segment: config.AWS_XRAY_ENABLED ? segment : null}),
+      retry = {}, credentials = null,
+    } = opts;
 
     this._autoClose = autoClose;
+    this._config = config;
+    this._credentialProvider = typeof credentials === 'function' ? new CredentialProvider(credentials) : credentials;
+    this._hooks = Array.isArray(hooks) ? hooks : [hooks];
+    this._queryOpts = queryOpts;
+    this._retryPolicy = retry;
+    this._slowQueryMs = slowQueryMs;
+    this._tracer = tracer;
 
-    // Apply default configurations
-    pgConfig = {
-      host: globalConfig.POSTGRES_HOST,
-      port: globalConfig.POSTGRES_PORT,
-      database: globalConfig.POSTGRES_DATABASE,
-      user: globalConfig.POSTGRES_USER,
-      password: globalConfig.POSTGRES_PASSWORD,
+    // Apply default configurations. Connections checked out of a pool are already connected, so
+    // they only need the configurations of the pool
+    pgConfig = pgClient ? pgConfig : {
+      ...createPgConfig(config),
       ...pgConfig,
     };
 
@@ -199,17 +740,33 @@ class PgClient {
     this._pgConfig = pgConfig;
     this._opts = opts;
 
-    // Handle AWS Xray
-    const ClientClass = segment ?
-      awsXray.capturePostgres(pg, segment).Client :
-      pg.Client
-    ;
+    if (pgClient) {
+      this._pgClient = pgClient;
+      this._hasConnected = true;
+      return;
+    }
 
-    const client = new ClientClass(pgConfig);
-    this._pgClient = client;
+    this._pgClient = this._createPgClient(pgConfig);
   }
 
   // -- Instance Methods --
+  /**
+   * @private
+   * Create the internal `pg` client, instrumented by the tracer if it supports it
+   *
+   * @param {pg.ClientConfig} pgConfig Configurations to pass to the internal client
+   *
+   * @returns {pg.Client}
+   */
+  _createPgClient(pgConfig) {
+    const pgLib = this._tracer.instrumentPg ? this._tracer.instrumentPg(pg) : pg;
+    const Client = this._credentialProvider ?
+      createCredentialedClient(pgLib.Client, this._credentialProvider, this._config) :
+      pgLib.Client
+    ;
+    return new Client(pgConfig);
+  }
+
   /**
    * @typedef PgClientCaptureParams
    * @property {awsXraySdk.SegmentLike} segment The parent segment to capture requests under
@@ -219,7 +776,8 @@ class PgClient {
 
   /**
    * Capture requests under a given parent segment using AWS Xray. Operates by closing the current
-   * client and creating a new one, so this method _must not_ be called while queries are in flight
+   * client and creating a new one, so this method _must not_ be called while queries are in flight.
+   * Replaces any other tracer the client was using
    *
    * @param {PgClientCaptureParams} params
    */
@@ -228,157 +786,1176 @@ class PgClient {
 
     await PgClient._closeClient(this);
 
-    const capturedPg = awsXray.capturePostgres(pg, segment);
     this.hasClosed = false;
     this._hasConnected = false;
-    this._pgClient = new capturedPg.Client(pgConfig);
+    this._tracer = new XrayTracer({awsXray, segment});
+    this._pgClient = this._createPgClient(pgConfig);
   }
 
   /**
-   * Connect to the SQL server
+   * @private
+   * Get a client that can be used exclusively for operations that need a single connection for
+   * their duration, like `COPY`. Plain clients only have the one connection, so they return
+   * themselves. The client _must_ be handed back using `_release` once it is no longer needed
+   *
+   * @returns {Promise<PgClient>}
    */
-  async connect() {
-    if (!this._hasConnected) {
-      const log = {...this._pgConfig};
-      delete log.password;
-      tryConnect: try {
-        await this._pgClient.connect();
-      } catch (e) {
-        // -- Connection Error Handling --
-        // Under extremely high load there can be delays that cause connections to be made more
-        // then once. If this happens, ignore the error
-        if (e.message.includes('Client has already been connected')) {
-          break tryConnect;
-        }
+  async _checkout() {
+    return this;
+  }
 
-        throw e;
-      }
-      this._hasConnected = true;
+  /**
+   * @private
+   * Hand back a client that was retrieved using `_checkout`. Plain clients hand back themselves, so
+   * there is nothing to do
+   *
+   * @param {PgClient} client The checked out client
+   * @param {Error=} error The error that ended the operation, if there was one
+   */
+  _release() {}
 
-      if (this._autoClose) {
-        PgClient._openClients.push(this._pgClient);
+  /**
+   * Add lifecycle hooks that are run for queries made by this client. See `PgClientHooks`
+   *
+   * @param {PgClientHooks} hooks
+   *
+   * @returns {() => void} Function that removes the hooks when called
+   */
+  addHooks(hooks) {
+    return addHooksTo(this._hooks, hooks);
+  }
+
+  /**
+   * @private
+   * Run a hook from every set of global and client hooks that has it
+   *
+   * @param {keyof PgClientHooks} name Name of the hook to run
+   * @param {PgClientQueryEvent} event
+   */
+  _runHooks(name, event) {
+    const logHookError = (e) => {
+      console.error(JSON.stringify({
+        message: 'query-hook-error',
+        hook: name,
+        error: e?.message,
+      }));
+    };
+
+    for (const hooks of [...PgClient._hooks, ...this._hooks]) {
+      if (typeof hooks[name] !== 'function') {
+        continue;
+      }
+      try {
+        Promise.resolve(hooks[name]({...event})).catch(logHookError);
+      } catch (e) {
+        logHookError(e);
       }
     }
   }
 
   /**
-   * Disconnect form the SQL sever
+   * @private
+   * Combine a set of retry policy overrides with the client and global retry policies
+   *
+   * @param {PgClientRetryPolicy=} overrides
+   *
+   * @returns {Required<PgClientRetryPolicy>}
    */
-  async end() {
-    return PgClient._closeClient(this);
+  _getRetryPolicy(overrides = {}) {
+    return {
+      maxAttempts: this._config.PG_ENHANCED_RETRY_MAX_ATTEMPTS,
+      baseDelayMs: this._config.PG_ENHANCED_RETRY_BASE_DELAY_MS,
+      maxDelayMs: this._config.PG_ENHANCED_RETRY_MAX_DELAY_MS,
+      retryableErrors: [ConnectionError, TooManyConnectionsError, QueryTimeoutError],
+      retryNonIdempotent: false,
+      ...this._retryPolicy,
+      ...overrides,
+    };
   }
 
   /**
-   * Perform a query, lazily connecting to the database if a connection has not already been
-   * established
+   * @private
+   * Run an operation, retrying it with exponential backoff when it fails with a retryable error.
+   * The number of attempts made is recorded on the final error as `attempts`
    *
-   * @param {pg.QueryConfig | string} params
-   * @param {*[]=} values
+   * @template T
+   * @param {() => Promise<T>} operation The operation to run
+   * @param {Required<PgClientRetryPolicy>} retryPolicy
+   * @param {(error: DBError) => boolean} canRetry Final check of whether a retryable error can be
+   *  retried, which is also responsible for preparing the client for the next attempt
+   *
+   * @returns {Promise<T>}
    */
-  async query(params, values = undefined) {
-    let queryConfig = params;
+  async _retry(operation, retryPolicy, canRetry) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (e) {
+        const error = DBError.from(e);
+        const isRetryable = attempt < retryPolicy.maxAttempts &&
+          retryPolicy.retryableErrors.some(ErrorClass => error instanceof ErrorClass) &&
+          canRetry(error);
 
-    // Support the overloaded method form where a string and values are provided separately
-    if (typeof params === 'string') {
-      queryConfig = {text: params, values};
-    }
+        if (!isRetryable) {
+          // Errors may already have been retried by a nested operation, like connecting for a
+          // query, in which case the higher attempt count is kept
+          e.attempts = Math.max(e.attempts || 1, attempt);
+          throw e;
+        }
 
-    if (globalConfig.PG_ENHANCED_LOG_SQL === true) {
-      console.log(JSON.stringify({
-        message: 'detailed-sql-log',
-        queryConfig,
-      }));
+        await new Promise(resolve => setTimeout(resolve, getRetryDelay(attempt, retryPolicy)));
+      }
     }
+  }
 
-    try {
-      await this.connect();
-    } catch(e) {
-      e.query = queryConfig.text;
-      e.parameters = queryConfig.values;
-      throw new DBError(e);
+  /**
+   * @private
+   * Replace the internal client after its connection failed during a query, so the query can be
+   * retried. Connections adopted from a pool belong to the pool and cannot be replaced
+   *
+   * @param {pg.Client} pgClient The internal client whose connection failed
+   *
+   * @returns {boolean} If the connection was replaced (or already has been)
+   */
+  _replaceFailedConnection(pgClient) {
+    if (this._opts.pgClient) {
+      return false;
     }
 
-    let queryResult;
-    try {
-      queryResult = await this._pgClient.query(queryConfig);
-    } catch(e) {
-      e.query = queryConfig.text;
-      e.parameters = queryConfig.values;
-      throw new DBError(e);
+    // The connection may already have been replaced, such as by a listening client reconnecting
+    if (pgClient === this._pgClient && !this._reconnecting) {
+      this._resetConnection();
     }
+    return true;
+  }
+
+  /**
+   * Connect to the SQL server
+   */
+  async connect() {
+    if (!this._hasConnected) {
+      const log = {...this._pgConfig};
+      delete log.password;
+      await this._retry(async () => {
+        try {
+          await this._pgClient.connect();
+        } catch (e) {
+          // -- Connection Error Handling --
+          // Under extremely high load there can be delays that cause connections to be made more
+          // then once. If this happens, ignore the error
+          if (e.message.includes('Client has already been connected')) {
+            return;
+          }
+
+          throw e;
+        }
+      }, this._getRetryPolicy(), () => {
+        // A `pg` client can only attempt to connect once, so a new one is needed for every retry
+        this._resetConnection();
+        return true;
+      });
+      this._hasConnected = true;
+
+      if (this._autoClose) {
+        PgClient._openClients.push(this);
+      }
+
+      // Dropped connections need to be noticed, so that the next query can reconnect
+      this._watchConnection();
+
+      // Channels are listened to per connection, so new connections need to listen again
+      for (const channel of this._listeners.keys()) {
+        await this.query(`LISTEN ${pg.escapeIdentifier(channel)}`, undefined, CONTROL_QUERY_OPTS);
+      }
+    }
+  }
+
+  /**
+   * Disconnect form the SQL sever
+   */
+  async end() {
+    return PgClient._closeClient(this);
+  }
+
+  /**
+   * @private
+   * Normalize the overloaded query arguments into a query config object, and combine the
+   * provided query options with the client defaults
+   *
+   * @param {pg.QueryConfig | string} params
+   * @param {*[]=} values
+   * @param {PgClientQueryOpts} opts
+   *
+   * @returns {{
+   *  queryConfig: pg.QueryConfig,
+   *  queryOpts: PgClientQueryOpts,
+   *  sensitiveIndexes: number[],
+   *  transformRow: ((row: object) => *)|null,
+   * }}
+   */
+  _prepareQuery(params, values, opts) {
+    let queryConfig = params;
+
+    // Support the overloaded method form where a string and values are provided separately
+    if (typeof params === 'string') {
+      queryConfig = {text: params, values};
+    }
+
+    // Sensitive values are tracked separately so that `pg` only ever sees the raw values
+    const {sensitiveIndexes = [], ...restConfig} = queryConfig;
+    queryConfig = restConfig;
+    if (queryConfig.values?.some(value => value instanceof EscapeSensitive)) {
+      queryConfig.values = queryConfig.values.map((value, i) => {
+        if (!(value instanceof EscapeSensitive)) {
+          return value;
+        }
+        sensitiveIndexes.push(i);
+        return value.value;
+      });
+    }
+
+    const queryOpts = {
+      ...this._queryOpts,
+      ...opts,
+      typeParsers: {...this._queryOpts.typeParsers, ...opts.typeParsers},
+      columnParsers: {...this._queryOpts.columnParsers, ...opts.columnParsers},
+    };
+
+    // Type parsers are handled by `pg` itself, falling back to whatever parsers the client would
+    // normally use
+    if (Object.keys(queryOpts.typeParsers).length) {
+      const fallbackTypes = queryConfig.types || this._pgConfig.types || pg.types;
+      queryConfig = {
+        ...queryConfig,
+        types: {
+          getTypeParser: (oid, format) => {
+            return queryOpts.typeParsers[oid] || fallbackTypes.getTypeParser(oid, format);
+          },
+        },
+      };
+    }
+
+    return {
+      queryConfig, queryOpts, sensitiveIndexes, transformRow: createRowTransformer(queryOpts),
+    };
+  }
+
+  /**
+   * Perform a query, lazily connecting to the database if a connection has not already been
+   * established
+   *
+   * @param {pg.QueryConfig | string} params
+   * @param {*[]=} values
+   * @param {PgClientQueryOpts} opts Options for this query, combined with the client defaults
+   */
+  async query(params, values = undefined, opts = {}) {
+    const {timeoutMs, signal} = {...this._queryOpts, ...opts};
+    if (timeoutMs || signal) {
+      return this._queryWithLimits(params, values, opts, {timeoutMs, signal});
+    }
+
+    const {
+      queryConfig, queryOpts, sensitiveIndexes, transformRow,
+    } = this._prepareQuery(params, values, opts);
+    const redactedValues = redactValues(queryConfig.values, sensitiveIndexes, this._config);
+
+    if (this._config.PG_ENHANCED_LOG_SQL === true) {
+      console.log(JSON.stringify({
+        message: 'detailed-sql-log',
+        queryConfig: {...queryConfig, values: redactedValues},
+      }));
+    }
+
+    const retryPolicy = this._getRetryPolicy(queryOpts.retry);
+    const isIdempotent = queryOpts.idempotent ?? isIdempotentStatement(queryConfig.text);
+
+    let attemptPgClient;
+    let hasSent;
+    const queryResult = await this._retry(async () => {
+      const hookEvent = {text: queryConfig.text, parameterCount: queryConfig.values?.length || 0};
+      this._runHooks('beforeQuery', hookEvent);
+      const span = this._tracer.startQuerySpan?.({...hookEvent, pgConfig: this._pgConfig});
+
+      const startTime = performance.now();
+      const getTiming = () => {
+        const durationMs = performance.now() - startTime;
+        return {durationMs, slow: durationMs >= this._slowQueryMs};
+      };
+
+      let attemptResult;
+      hasSent = false;
+      try {
+        await this.connect();
+        hasSent = true;
+        attemptPgClient = this._pgClient;
+        attemptResult = await this._pgClient.query(queryConfig);
+      } catch(e) {
+        e.query = queryConfig.text;
+        redactError(e, queryConfig.values, sensitiveIndexes, this._config);
+        const error = DBError.from(e);
+        span?.end({error});
+        this._runHooks('onError', {...hookEvent, ...getTiming(), error});
+        throw error;
+      }
+
+      const {rowCount, command} = attemptResult;
+      span?.end({rowCount, command});
+      this._runHooks('afterQuery', {...hookEvent, ...getTiming(), rowCount, command});
+      return attemptResult;
+    }, retryPolicy, (error) => {
+      // Connecting is retried on its own, and statements inside of a transaction can only be
+      // retried by retrying the whole transaction
+      if (!hasSent || this._transactionDepth > 0) {
+        return false;
+      }
+
+      // The database rejects connections before running anything when it has too many, so those
+      // are safe to retry regardless of the statement
+      const isSafe = isIdempotent || retryPolicy.retryNonIdempotent || error instanceof TooManyConnectionsError;
+      if (!isSafe) {
+        return false;
+      }
+
+      return error instanceof ConnectionError ? this._replaceFailedConnection(attemptPgClient) : true;
+    });
 
     // Set up and return results
-    const results = queryResult.rows;
+    const results = transformRow ? queryResult.rows.map(transformRow) : queryResult.rows;
     results.originalResults = {
       ...queryResult, rows: undefined,
     };
     results.query = queryConfig.text;
-    results.parameters = queryConfig.values;
+    results.parameters = redactedValues;
     return results;
   }
 
+  /**
+   * @private
+   * Perform a query with a statement timeout and/or cancellation signal. A dedicated connection is
+   * used, so that the backend running the statement is known and can be canceled
+   *
+   * @param {pg.QueryConfig | string} params
+   * @param {*[]=} values
+   * @param {PgClientQueryOpts} opts
+   * @param {{timeoutMs?: number, signal?: AbortSignal}} limits
+   */
+  async _queryWithLimits(params, values, opts, limits) {
+    const {timeoutMs, signal} = limits;
+    const queryOpts = {...opts, timeoutMs: undefined, signal: undefined};
+
+    if (timeoutMs && !(timeoutMs > 0)) {
+      throw new PgEnhancedError(`Query timeout must be a positive number of milliseconds, got "${timeoutMs}"`);
+    }
+
+    // The signal can be aborted at any point before the statement is sent, in which case it is
+    // never sent at all
+    const throwIfAborted = () => {
+      if (signal?.aborted) {
+        throw DBError.from(createCanceledError());
+      }
+    };
+    throwIfAborted();
+
+    const client = await this._checkout();
+    let isRunning = false;
+    let failure;
+    const cancel = () => {
+      if (isRunning) {
+        client._cancelBackend(client._pgClient.processID);
+      }
+    };
+
+    try {
+      await client.connect();
+      signal?.addEventListener('abort', cancel);
+
+      if (!timeoutMs) {
+        throwIfAborted();
+        isRunning = true;
+        return await client.query(params, values, queryOpts);
+      }
+
+      // Settings made with `is_local` last until the end of the transaction, so savepoints need
+      // to restore the previous setting for the rest of the outer transaction
+      const isNested = client._transactionDepth > 0;
+      return await client.transaction(async (tx) => {
+        const [{previousTimeout}] = await tx.query(/*sql*/`
+          SELECT
+            current_setting('statement_timeout') AS "previousTimeout",
+            set_config('statement_timeout', $1, true)
+        `, [String(Math.ceil(timeoutMs))], CONTROL_QUERY_OPTS);
+
+        throwIfAborted();
+        isRunning = true;
+        const results = await tx.query(params, values, queryOpts);
+        isRunning = false;
+
+        if (isNested) {
+          await tx.query(`SELECT set_config('statement_timeout', $1, true)`, [previousTimeout], CONTROL_QUERY_OPTS);
+        }
+        return results;
+      });
+    } catch (e) {
+      // Pooled connections that failed part way through are destroyed instead of being reused
+      failure = e;
+      throw e;
+    } finally {
+      isRunning = false;
+      signal?.removeEventListener('abort', cancel);
+      this._release(client, failure);
+    }
+  }
+
+  /**
+   * @private
+   * Cancel the statement running on a backend, using a separate connection. Errors are logged
+   * rather than thrown, since there is nothing to return them to
+   *
+   * @param {number} processId Process ID of the backend to cancel the statement of
+   */
+  async _cancelBackend(processId) {
+    const cancelClient = new PgClient(this._pgConfig, {
+      autoClose: false, tracer: this._tracer, retry: this._retryPolicy, config: this._opts.config,
+      credentials: this._credentialProvider,
+    });
+
+    try {
+      await cancelClient.query('SELECT pg_cancel_backend($1)', [processId]);
+    } catch (e) {
+      console.error(JSON.stringify({
+        message: 'query-cancel-error',
+        processId,
+        error: e?.message,
+      }));
+    } finally {
+      await cancelClient.end().catch(() => {});
+    }
+  }
+
   /**
    * Perform a query, lazily connecting to the database if a connection has not already been
-   * established, and returning a cursor that can be used to page through the query results
+   * established, and returning a cursor that can be used to page through the query results.
+   * Query options are applied to every row read from the cursor.
+   *
+   * The cursor can be iterated over using `for await (const row of cursor)`, or converted into a
+   * `Readable` object stream using `cursor.stream()`. Either way the cursor is closed
+   * automatically once all rows have been read, an error occurs, or iteration is stopped early
    *
    * NOTE: Until the cursor is closed using `cursor.close()` the cursor will "lock" the client
-   *       and prevent additional queries from succeeding
+   *       and prevent additional queries from succeeding. This only needs to be done manually
+   *       when reading from the cursor with `cursor.read()`
    *
    * @param {pg.QueryConfig | string} params
    * @param {*[]=} values
+   * @param {PgClientQueryOpts} opts Options for this query, combined with the client defaults
    *
    * @returns {import('pg-cursor')}
    */
-  async cursorQuery(params, values = undefined) {
-    // Support the overloaded method form where a string and values are provided separately
-    let queryConfig = params;
-    if (typeof params === 'string') {
-      queryConfig = {text: params, values};
-    }
+  async cursorQuery(params, values = undefined, opts = {}) {
+    const {
+      queryConfig, queryOpts, sensitiveIndexes, transformRow,
+    } = this._prepareQuery(params, values, opts);
 
     try {
       await this.connect();
     } catch(e) {
       e.query = queryConfig.text;
-      e.parameters = queryConfig.values;
-      throw new DBError(e);
+      redactError(e, queryConfig.values, sensitiveIndexes, this._config);
+      throw DBError.from(e);
     }
 
     let resultCursor;
     try {
-      resultCursor = await this._pgClient.query(new Cursor(queryConfig.text, queryConfig.values));
+      const cursor = new Cursor(queryConfig.text, queryConfig.values, {types: queryConfig.types});
+      resultCursor = await this._pgClient.query(cursor);
     } catch(e) {
       e.query = queryConfig.text;
-      e.parameters = queryConfig.values;
-      throw new DBError(e);
+      redactError(e, queryConfig.values, sensitiveIndexes, this._config);
+      throw DBError.from(e);
     }
 
-    return resultCursor;
+    return enhanceCursor(resultCursor, {
+      queryConfig,
+      sensitiveIndexes,
+      transformRow,
+      batchSize: queryOpts.batchSize || this._config.PG_ENHANCED_CURSOR_BATCH_SIZE,
+      config: this._config,
+    });
   }
 
   /**
    * Automatically parse and run a provided SQL query. This method is meant to be used as a
-   * [tagged template](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Template_literals#tagged_templates)
+   * [tagged template](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Template_literals#tagged_templates).
+   * Query options can be provided by calling it with an options object first, which returns a
+   * tag with those options applied. Example: ``client.sql({keyCase: 'camel'})`SELECT ...` ``
    *
    * @template
    * @param {string[]} strings Array of string parts
    * @param  {...any} args Arguments that go in between the string parts
    */
-  async sql(strings, ...args) {
-    return this.query(parseTaggedTemplate(strings, ...args));
+  sql(strings, ...args) {
+    if (!Array.isArray(strings)) {
+      const opts = strings;
+      return (s, ...a) => this._sql(opts, s, a);
+    }
+    return this._sql({}, strings, args);
+  }
+
+  /**
+   * @private
+   * Parse and run a tagged template query with the given query options
+   *
+   * @param {PgClientQueryOpts} opts
+   * @param {string[]} strings
+   * @param {*[]} args
+   */
+  async _sql(opts, strings, args) {
+    const {strict} = {...this._queryOpts, ...opts};
+    return this.query(parseTaggedTemplate({strict, config: this._config})(strings, ...args), undefined, opts);
   }
 
   /**
    * Automatically parse and run a provided SQL query, returning a cursor that can be used to
    * page through results. This method is meant to be used as a
-   * [tagged template](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Template_literals#tagged_templates)
+   * [tagged template](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Template_literals#tagged_templates).
+   * Query options can be provided the same way as with `sql`
    *
    * @template
    * @param {string[]} strings Array of string parts
    * @param  {...any} args Arguments that go in between the string parts
    */
-  async cursorSql(strings, ...args) {
-    return this.cursorQuery(parseTaggedTemplate(strings, ...args));
+  cursorSql(strings, ...args) {
+    if (!Array.isArray(strings)) {
+      const opts = strings;
+      return (s, ...a) => this._cursorSql(opts, s, a);
+    }
+    return this._cursorSql({}, strings, args);
+  }
+
+  /**
+   * @private
+   * Parse and run a tagged template cursor query with the given query options
+   *
+   * @param {PgClientQueryOpts} opts
+   * @param {string[]} strings
+   * @param {*[]} args
+   */
+  async _cursorSql(opts, strings, args) {
+    const {strict} = {...this._queryOpts, ...opts};
+    return this.cursorQuery(parseTaggedTemplate({strict, config: this._config})(strings, ...args), undefined, opts);
+  }
+
+  /**
+   * @typedef PgClientPaginateColumn
+   * @property {string} column Name of the column, as returned by the base query
+   * @property {'ASC'|'DESC'=} direction Direction to sort the column in. Defaults to `ASC`
+   */
+
+  /**
+   * @typedef PgClientPaginateOpts
+   * @property {(string|PgClientPaginateColumn)[]} orderBy Columns to sort by, in order of
+   *  precedence. The last column must be unique (such as the primary key) so that every row has
+   *  a distinct position, and none of the columns can be `null`
+   * @property {number=} pageSize Maximum number of rows per page. Defaults to
+   *  `PG_ENHANCED_PAGE_SIZE`
+   * @property {string=} token Continuation token returned with the previous page. The first page
+   *  is returned if not provided
+   * @property {string=} secret Secret used to sign and verify tokens. Defaults to
+   *  `PG_ENHANCED_PAGE_TOKEN_SECRET`, and one of the two is required
+   */
+
+  /**
+   * @typedef PgClientPage
+   * @property {object[]} items Rows on the page
+   * @property {string|null} nextToken Opaque token used to get the next page, or `null` if this is
+   *  the last page
+   */
+
+  /**
+   * Get a page of results using keyset pagination. Instead of skipping rows with `OFFSET`, each
+   * page starts after the sort keys of the last row of the previous page, so pages stay fast and
+   * rows are not repeated when new rows are added. Throws an `InvalidPageTokenError` if the token
+   * has been tampered with or was created for different sort columns, and a `PgEnhancedError` if
+   * there is no secret to sign tokens with.
+   * Example: ``client.paginate(fragment`SELECT * FROM "reasons"`, {orderBy: ['createdAt', 'id'], token})``
+   *
+   * @param {EscapeFragment} base Query to paginate, as a fragment. It is used as a subquery, so it
+   *  should not have its own `ORDER BY` or `LIMIT`
+   * @param {PgClientPaginateOpts} opts
+   *
+   * @returns {Promise<PgClientPage>}
+   */
+  async paginate(base, opts = {}) {
+    const {
+      orderBy = [], pageSize = this._config.PG_ENHANCED_PAGE_SIZE, token,
+      secret = this._config.PG_ENHANCED_PAGE_TOKEN_SECRET,
+    } = opts;
+
+    if (!secret) {
+      throw new PgEnhancedError('A secret is required to sign page tokens. Set PG_ENHANCED_PAGE_TOKEN_SECRET or provide the secret option');
+    }
+    if (!(base instanceof EscapeFragment)) {
+      throw new PgEnhancedError('The query to paginate must be a fragment');
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new PgEnhancedError(`Page size must be a positive integer, got "${pageSize}"`);
+    }
+    if (!orderBy.length) {
+      throw new PgEnhancedError('At least one sort column is required to paginate');
+    }
+
+    const sortColumns = orderBy.map((sortColumn) => {
+      const {column, direction = 'ASC'} = typeof sortColumn === 'string' ? {column: sortColumn} : sortColumn;
+      const upperDirection = String(direction).toUpperCase();
+      if (upperDirection !== 'ASC' && upperDirection !== 'DESC') {
+        throw new PgEnhancedError(`Invalid sort direction "${direction}" for column "${column}". Expected ASC or DESC`);
+      }
+      return {column, direction: upperDirection, identifier: fragment`"page".${escape.identifier(column)}`};
+    });
+    const columns = sortColumns.map(({column}) => column);
+
+    const condition = typeof token === 'string' ?
+      fragment`WHERE ${createKeysetCondition(sortColumns, decodePageToken(token, columns, secret))}` :
+      fragment.empty
+    ;
+    const order = sortColumns.map(({identifier, direction}) => fragment`${identifier} ${escape.raw(direction)}`);
+
+    // The sort keys are read back as text so that values like timestamps and big numbers keep
+    // their full precision in the token. Postgres casts them back to the column types when they
+    // are compared. Rows are transformed afterwards, once the sort keys are removed
+    const sortKeys = sortColumns.map(({identifier}) => fragment`${identifier}::text`);
+    const rows = await this.sql({keyCase: undefined, rowMapper: undefined})`
+      SELECT
+        "page".*,
+        ARRAY[${fragment.join(sortKeys)}] AS "_pgEnhancedPageKeys"
+      FROM (${base}) AS "page"
+      ${condition}
+      ORDER BY ${fragment.join(order)}
+      LIMIT ${escape.parameter(pageSize + 1)}
+    `;
+
+    const pageRows = rows.slice(0, pageSize);
+    const transformRow = createRowTransformer({
+      keyCase: this._queryOpts.keyCase, rowMapper: this._queryOpts.rowMapper,
+    });
+    const items = pageRows.map((row) => {
+      const item = {...row};
+      delete item._pgEnhancedPageKeys;
+      return transformRow ? transformRow(item) : item;
+    });
+
+    let nextToken = null;
+    if (rows.length > pageSize) {
+      const values = pageRows[pageRows.length - 1]._pgEnhancedPageKeys;
+      nextToken = encodePageToken({columns, values}, secret);
+    }
+
+    return {items, nextToken};
+  }
+
+  /**
+   * @typedef PgClientBulkInsertProgress
+   * @property {number} inserted Number of rows that have been inserted so far
+   * @property {number} total Total number of rows being inserted
+   */
+
+  /**
+   * @typedef PgClientBulkInsertOpts
+   * @property {string[]|boolean=} returning Columns to return for every inserted row, or `true`
+   *  to return all columns. Nothing is returned by default
+   * @property {number=} batchSize Maximum number of rows to insert per statement. Batches are
+   *  always kept under the PostgreSQL bind parameter limit regardless of this value
+   * @property {(progress: PgClientBulkInsertProgress) => void=} onProgress Called after each batch
+   *  has been inserted
+   * @property {'throw'|'default'=} mismatchedKeys What to do when the rows do not all have the
+   *  same keys. See `keysAndValues` for details
+   */
+
+  /**
+   * Insert any number of rows into a table. Rows are split into batches that fit within the
+   * PostgreSQL bind parameter limit, and all batches are inserted in a single transaction
+   *
+   * @param {string} table Name of the table to insert rows into
+   * @param {object[]} rows The rows to insert
+   * @param {PgClientBulkInsertOpts} opts Additional options
+   *
+   * @returns {Promise<object[]>} The returned rows from every batch, in insertion order
+   */
+  async bulkInsert(table, rows, opts = {}) {
+    const {returning = false, batchSize = Infinity, onProgress, mismatchedKeys = 'throw'} = opts;
+
+    if (!rows.length) {
+      return [];
+    }
+
+    // Keys are checked across every row up front, rather than per batch
+    const columnCount = getRowKeys(rows, mismatchedKeys).length || 1;
+    const rowsPerBatch = Math.max(1, Math.min(batchSize, Math.floor(MAX_QUERY_PARAMETERS / columnCount)));
+
+    return this.transaction(async (tx) => {
+      const tableIdentifier = escape.identifier(table);
+      const results = [];
+
+      for (let i = 0; i < rows.length; i += rowsPerBatch) {
+        const batch = escape.keysAndValues(rows.slice(i, i + rowsPerBatch), {mismatchedKeys});
+
+        let batchResults;
+        if (returning === true) {
+          batchResults = await tx.sql`INSERT INTO ${tableIdentifier} ${batch} RETURNING *`;
+        } else if (returning) {
+          batchResults = await tx.sql`
+            INSERT INTO ${tableIdentifier} ${batch} RETURNING ${escape.identifier(returning)}
+          `;
+        } else {
+          batchResults = await tx.sql`INSERT INTO ${tableIdentifier} ${batch}`;
+        }
+
+        if (returning) {
+          results.push(...batchResults);
+        }
+
+        if (onProgress) {
+          onProgress({inserted: Math.min(i + rowsPerBatch, rows.length), total: rows.length});
+        }
+      }
+
+      return results;
+    });
+  }
+
+  /**
+   * Stream data into a table using `COPY ... FROM STDIN`, which is much faster than inserting rows
+   * for large amounts of data
+   *
+   * @param {string} table Name of the table to copy data into
+   * @param {import('stream').Readable} source Stream of data in the chosen format
+   * @param {import('../utils/generate-copy-statement.js').GenerateCopyStatementOpts} opts
+   *
+   * @returns {Promise<{rowCount: number}>} The number of rows that were copied
+   */
+  async copyFrom(table, source, opts = {}) {
+    const text = generateCopyStatement('from', table, opts);
+    const client = await this._checkout();
+
+    let error;
+    try {
+      await client.connect();
+      const copyStream = client._pgClient.query(copyStreams.from(text));
+      await pipeline(source, copyStream);
+      return {rowCount: copyStream.rowCount};
+    } catch (e) {
+      error = e;
+      e.query = text;
+      throw DBError.from(e);
+    } finally {
+      this._release(client, error);
+    }
+  }
+
+  /**
+   * Stream data out of a table using `COPY ... TO STDOUT`. The connection is held until the
+   * returned stream has been fully read, so it should always be consumed or destroyed
+   *
+   * @param {string} table Name of the table to copy data from
+   * @param {import('../utils/generate-copy-statement.js').GenerateCopyStatementOpts} opts
+   *
+   * @returns {Promise<import('stream').Readable>} Stream of data in the chosen format
+   */
+  async copyTo(table, opts = {}) {
+    const text = generateCopyStatement('to', table, opts);
+    const client = await this._checkout();
+
+    try {
+      await client.connect();
+    } catch (e) {
+      this._release(client, e);
+      e.query = text;
+      throw DBError.from(e);
+    }
+
+    const copyStream = client._pgClient.query(copyStreams.to(text));
+    const output = new PassThrough();
+
+    copyStream.on('error', (e) => {
+      e.query = text;
+      output.destroy(DBError.from(e));
+    });
+    finished(copyStream, (e) => this._release(client, e));
+
+    // Stop copying if the consumer gives up on the output early
+    output.on('close', () => {
+      if (!copyStream.readableEnded) {
+        copyStream.destroy(new Error('COPY output stream was closed before the copy finished'));
+      }
+    });
+
+    copyStream.pipe(output);
+    return output;
+  }
+
+  /**
+   * @callback PgClientNotificationHandler
+   * @param {*} payload The notification payload, parsed as JSON. If the payload is not valid JSON
+   *  the raw string is provided instead, and an empty payload is `undefined`
+   * @param {pg.Notification} notification The raw notification
+   */
+
+  /**
+   * Listen for notifications sent to a channel using `NOTIFY` or `notify`. The client will stay
+   * connected and automatically reconnect (and listen again) if its connection drops, until
+   * `unlisten` is used to remove every handler or the client is ended
+   *
+   * @param {string} channel Name of the channel to listen to
+   * @param {PgClientNotificationHandler} handler Function called for every notification
+   *
+   * @returns {Promise<() => Promise<void>>} Function that removes this handler when called
+   */
+  async listen(channel, handler) {
+    await this.connect();
+
+    if (!this._listeners.has(channel)) {
+      this._listeners.set(channel, new Set());
+      await this.query(`LISTEN ${pg.escapeIdentifier(channel)}`, undefined, CONTROL_QUERY_OPTS);
+    }
+    this._listeners.get(channel).add(handler);
+
+    return () => this.unlisten(channel, handler);
+  }
+
+  /**
+   * Stop listening for notifications on a channel. If a handler is provided only that handler is
+   * removed, and the client only stops listening once no handlers remain
+   *
+   * @param {string} channel Name of the channel to stop listening to
+   * @param {PgClientNotificationHandler=} handler The handler to remove
+   */
+  async unlisten(channel, handler = undefined) {
+    const handlers = this._listeners.get(channel);
+    if (!handlers) {
+      return;
+    }
+
+    if (handler) {
+      handlers.delete(handler);
+    } else {
+      handlers.clear();
+    }
+
+    if (!handlers.size) {
+      this._listeners.delete(channel);
+      await this.query(`UNLISTEN ${pg.escapeIdentifier(channel)}`, undefined, CONTROL_QUERY_OPTS);
+    }
+  }
+
+  /**
+   * Send a notification to a channel. The payload is encoded as JSON
+   *
+   * @param {string} channel Name of the channel to notify
+   * @param {*=} payload The payload to send
+   */
+  async notify(channel, payload = undefined) {
+    const encodedPayload = typeof payload === 'undefined' ? null : JSON.stringify(payload);
+    // Retrying could deliver the notification twice
+    await this.sql({idempotent: false})`
+      SELECT pg_notify(${escape.parameter(channel)}, ${escape.parameter(encodedPayload)})
+    `;
+  }
+
+  /**
+   * @private
+   * Start watching the internal client for notifications and dropped connections, if it is not
+   * already being watched
+   */
+  _watchConnection() {
+    const pgClient = this._pgClient;
+    if (this._watchedPgClient === pgClient) {
+      return;
+    }
+    this._watchedPgClient = pgClient;
+
+    pgClient.on('notification', (notification) => this._handleNotification(notification));
+    pgClient.on('error', () => this._handleConnectionDropped(pgClient));
+    pgClient.on('end', () => this._handleConnectionDropped(pgClient));
+  }
+
+  /**
+   * @private
+   * Pass a notification on to the handlers listening to its channel
+   *
+   * @param {pg.Notification} notification
+   */
+  _handleNotification(notification) {
+    const {channel, payload} = notification;
+
+    let parsedPayload = payload || undefined;
+    try {
+      parsedPayload = JSON.parse(payload);
+    } catch {
+      // Not JSON, so the raw payload is used
+    }
+
+    for (const handler of this._listeners.get(channel) || []) {
+      Promise.resolve()
+        .then(() => handler(parsedPayload, notification))
+        .catch((e) => {
+          console.error(JSON.stringify({
+            message: 'notification-handler-error',
+            channel,
+            error: e?.message,
+          }));
+        });
+    }
+  }
+
+  /**
+   * @private
+   * Handle the connection of a watched client dropping unexpectedly, such as when the database
+   * restarts or the socket dies while the process is frozen. The internal client is replaced right
+   * away, so the next query transparently reconnects. Clients that are listening for
+   * notifications reconnect immediately instead, and keep trying until they succeed, or are no
+   * longer listening.
+   *
+   * Connections adopted from a pool are never replaced, since they belong to the pool. Inside of a
+   * transaction the dropped connection is kept, so that the rest of the transaction fails instead
+   * of running on a new connection outside of it. The transaction hands it back here once it ends
+   *
+   * @param {pg.Client} pgClient The internal client whose connection dropped
+   */
+  async _handleConnectionDropped(pgClient) {
+    // Ignore events from old clients, intentional disconnects and repeated events
+    if (pgClient !== this._pgClient || this.hasClosed || this._reconnecting) {
+      return;
+    }
+    if (this._opts.pgClient || this._transactionDepth > 0) {
+      return;
+    }
+
+    this._resetConnection();
+
+    this._reconnecting = true;
+    try {
+      while (this._listeners.size && !this.hasClosed) {
+        try {
+          await this.connect();
+          return;
+        } catch {
+          await new Promise(resolve => setTimeout(resolve, this._config.PG_ENHANCED_LISTEN_RECONNECT_DELAY_MS));
+        }
+
+        // A query may have reconnected the client in the meantime
+        if (!this._hasConnected) {
+          this._resetConnection();
+        }
+      }
+    } finally {
+      this._reconnecting = false;
+    }
+  }
+
+  /**
+   * @private
+   * Replace the internal client with a new, unconnected one using the same configurations and
+   * tracer (so an Xray capture is kept). The client is removed from the open clients list until
+   * it connects again
+   */
+  _resetConnection() {
+    const clientIndex = PgClient._openClients.indexOf(this);
+    if (clientIndex !== -1) {
+      PgClient._openClients.splice(clientIndex, 1);
+    }
+
+    const oldPgClient = this._pgClient;
+    this._hasConnected = false;
+    this._pgClient = this._createPgClient(this._pgConfig);
+    oldPgClient.end().catch(() => {});
+  }
+
+  /**
+   * Create helpers for common operations on a single table, such as
+   * `await client.table('reasons').get({id})`. Gets, updates and deletes refuse to run when their
+   * filter would match every row, unless `{all: true}` is provided. See `PgTable` for details
+   *
+   * @param {string} name Name of the table
+   * @param {PgClientQueryOpts} queryOpts Query options applied to every query made by the helpers
+   *
+   * @returns {PgTable}
+   */
+  table(name, queryOpts = {}) {
+    return new PgTable(this, name, queryOpts);
+  }
+
+  /**
+   * @typedef PgClientPurgeExpiredOpts
+   * @property {number=} batchSize Maximum number of rows deleted per statement. Defaults to
+   *  `PG_ENHANCED_PURGE_BATCH_SIZE`
+   * @property {string=} column Name of the expiration column. Defaults to "expiresAt"
+   */
+
+  /**
+   * Delete the rows of a table that have expired, meaning their expiration column is in the past.
+   * Rows are deleted in batches, each in its own statement, so that large purges do not hold locks
+   * on every expired row at once. Rows locked by other transactions are skipped
+   *
+   * @param {string} table Name of the table to purge
+   * @param {PgClientPurgeExpiredOpts} opts
+   *
+   * @returns {Promise<{deleted: number, batches: number}>} Number of rows deleted, and the number
+   *  of statements used to delete them
+   */
+  async purgeExpired(table, opts = {}) {
+    const {batchSize = this._config.PG_ENHANCED_PURGE_BATCH_SIZE, column = 'expiresAt'} = opts;
+
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new PgEnhancedError(`Batch size must be a positive integer, got "${batchSize}"`);
+    }
+
+    const tableIdentifier = escape.identifier(table);
+    let deleted = 0;
+    let batches = 0;
+    let batchDeleted;
+    do {
+      const results = await this.sql`
+        DELETE FROM ${tableIdentifier} WHERE ctid = ANY(ARRAY(
+          SELECT ctid FROM ${tableIdentifier}
+          WHERE ${escape.identifier(column)} <= now()
+          LIMIT ${escape.parameter(batchSize)}
+          FOR UPDATE SKIP LOCKED
+        ))
+      `;
+      batchDeleted = results.originalResults.rowCount || 0;
+      deleted += batchDeleted;
+      batches++;
+    } while (batchDeleted === batchSize);
+
+    return {deleted, batches};
+  }
+
+  /**
+   * Create a migrator that applies and reverts migrations using this client
+   *
+   * @param {Omit<import('../../migrations/migrator.js').MigratorOpts, 'client'>} opts
+   *
+   * @returns {import('../../migrations/migrator.js')}
+   */
+  migrator(opts = {}) {
+    // Required here to avoid a circular dependency, since the migrator uses this class
+    const Migrator = require('../../migrations/migrator.js');
+    return new Migrator({...opts, client: this});
+  }
+
+  /**
+   * @typedef PgClientTransactionOpts
+   * @property {string=} isolationLevel Isolation level to use for the transaction, such as
+   *  `SERIALIZABLE`. Ignored for nested transactions
+   * @property {boolean=} readOnly If the transaction should be `READ ONLY`. Ignored for nested
+   *  transactions
+   * @property {number=} retryLimit Number of times to retry the transaction when it fails with
+   *  a serialization failure or deadlock. Defaults to `PG_ENHANCED_TRANSACTION_RETRY_LIMIT`.
+   *  Ignored for nested transactions
+   */
+
+  /**
+   * Run a callback inside of a transaction. The transaction is committed when the callback
+   * resolves, and rolled back if it throws. Calling `transaction` again from inside the callback
+   * creates a nested transaction using a `SAVEPOINT`, which is rolled back on its own without
+   * affecting the outer transaction (unless the error is allowed to propagate). Errors thrown by
+   * the callback are rethrown as-is, except for errors straight from `pg`, which become `DBError`s.
+   * Queries inside of a transaction are never retried or reconnected, so if the connection drops
+   * the transaction rejects with a `ConnectionError`
+   *
+   * NOTE: The callback may be run more than once if serialization failures are being retried, so
+   *       it should not have side effects outside of the database
+   *
+   * @template T
+   * @param {(tx: PgClient) => Promise<T>} callback Function that performs queries using the
+   *  provided transaction client
+   * @param {PgClientTransactionOpts} opts Additional options
+   *
+   * @returns {Promise<T>} Whatever the callback resolved with
+   */
+  async transaction(callback, opts = {}) {
+    if (this._transactionDepth > 0) {
+      return this._savepointTransaction(callback);
+    }
+
+    const {retryLimit = this._config.PG_ENHANCED_TRANSACTION_RETRY_LIMIT} = opts;
+    const beginStatement = generateBeginStatement(opts);
+
+    this._rollbackError = undefined;
+    for (let attempt = 0; ; attempt++) {
+      await this.query(beginStatement, undefined, CONTROL_QUERY_OPTS);
+      this._transactionDepth = 1;
+      const transactionPgClient = this._pgClient;
+
+      try {
+        const result = await callback(this);
+        await this.query('COMMIT', undefined, CONTROL_QUERY_OPTS);
+        return result;
+      } catch (e) {
+        await this._rollback('ROLLBACK');
+        this._transactionDepth = 0;
+
+        // A connection that dropped during the transaction is only replaced now that the
+        // transaction is over, see `_handleConnectionDropped`
+        const error = classifyTransactionError(e);
+        if (error instanceof ConnectionError) {
+          this._handleConnectionDropped(transactionPgClient);
+        }
+
+        // Serialization failures and deadlocks can be resolved by simply running the whole
+        // transaction again
+        if (error instanceof SerializationFailureError && attempt < retryLimit) {
+          continue;
+        }
+
+        throw error;
+      } finally {
+        this._transactionDepth = 0;
+      }
+    }
+  }
+
+  /**
+   * @private
+   * Run a callback inside of a nested transaction that is created using a `SAVEPOINT`
+   *
+   * @template T
+   * @param {(tx: PgClient) => Promise<T>} callback
+   *
+   * @returns {Promise<T>}
+   */
+  async _savepointTransaction(callback) {
+    const savepoint = pg.escapeIdentifier(`pg_enhanced_savepoint_${this._transactionDepth}`);
+
+    await this.query(`SAVEPOINT ${savepoint}`, undefined, CONTROL_QUERY_OPTS);
+    this._transactionDepth++;
+
+    try {
+      const result = await callback(this);
+      await this.query(`RELEASE SAVEPOINT ${savepoint}`, undefined, CONTROL_QUERY_OPTS);
+      return result;
+    } catch (e) {
+      await this._rollback(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw classifyTransactionError(e);
+    } finally {
+      this._transactionDepth--;
+    }
+  }
+
+  /**
+   * @private
+   * Send a rollback statement without throwing. If the rollback fails the connection is most
+   * likely broken, and the error that caused the rollback is more useful than the rollback error,
+   * so the rollback error is only kept in `_rollbackError`
+   *
+   * @param {string} statement The rollback statement to send
+   */
+  async _rollback(statement) {
+    try {
+      await this.query(statement, undefined, CONTROL_QUERY_OPTS);
+    } catch (e) {
+      this._rollbackError = e;
+    }
   }
 }
 
@@ -389,7 +1966,8 @@ if (global.afterAll && typeof global.afterAll === 'function') {
   initXray();
 
   global.afterAll(async () => {
-    for (const client of PgClient._openClients) {
+    // Copied, since ending a client removes it from the list
+    for (const client of [...PgClient._openClients]) {
       await client.end();
     }
     PgClient._openClients = [];
@@ -0,0 +1,237 @@
+const pg = require('pg');
+
+const PgClient = require('./pg-client.js');
+const { DBError } = require('../../models/errors.js');
+
+const createConfig = require('../../config/create-config.js');
+const createCredentialedClient = require('../../credentials/utils/create-credentialed-client.js');
+
+/**
+ * Wrapper for a `pg` pool that provides the same enhanced functionality as `PgClient`. Regular
+ * queries are sent to whichever pooled connection is available, while cursors and transactions
+ * check out a dedicated connection for as long as they are open
+ */
+class PgPool extends PgClient {
+  /**
+   * @private
+   * @type {PgClient=}
+   * Dedicated client used to listen for notifications, since pooled connections come and go
+   */
+  _listenerClient = null;
+
+  /**
+   * @param {pg.PoolConfig} pgConfig Configurations to pass to the internal pool on creation
+   * @param {import('./pg-client.js').PgClientOpts} opts Additional options
+   */
+  constructor(pgConfig = {}, opts = {}) {
+    const config = createConfig(opts.config);
+    super({
+      max: config.PG_ENHANCED_POOL_MAX,
+      idleTimeoutMillis: config.PG_ENHANCED_POOL_IDLE_TIMEOUT_MS,
+      ...pgConfig,
+    }, opts);
+  }
+
+  // -- Instance Methods --
+  /**
+   * @private
+   * Create the internal `pg` pool, instrumented by the tracer if it supports it
+   *
+   * @param {pg.PoolConfig} pgConfig Configurations to pass to the internal pool
+   *
+   * @returns {pg.Pool}
+   */
+  _createPgClient(pgConfig) {
+    const pgLib = this._tracer.instrumentPg ? this._tracer.instrumentPg(pg) : pg;
+    // Pools create every connection with the client class they are given, so providing one that
+    // gets credentials covers new pooled connections as well
+    if (this._credentialProvider) {
+      pgConfig = {...pgConfig, Client: createCredentialedClient(pgLib.Client, this._credentialProvider, this._config)};
+    }
+    const pool = new pgLib.Pool(pgConfig);
+
+    // Idle connections that error out are removed from the pool automatically, but the pool will
+    // still emit the error and crash the process if nothing is listening for it
+    pool.on('error', () => {});
+
+    return pool;
+  }
+
+  /**
+   * @private
+   * Check out a dedicated connection from the pool, wrapped in a `PgClient`. The connection
+   * _must_ be returned to the pool using `_release` once it is no longer needed
+   *
+   * @returns {Promise<PgClient>}
+   */
+  async _checkout() {
+    await this.connect();
+
+    let poolClient;
+    try {
+      poolClient = await this._retry(() => this._pgClient.connect(), this._getRetryPolicy(), () => true);
+    } catch (e) {
+      throw DBError.from(e);
+    }
+
+    // Hooks are shared, so hooks added to the pool later apply to checked out connections as well
+    return new PgClient(this._pgConfig, {
+      ...this._opts, autoClose: false, hooks: this._hooks, tracer: this._tracer, pgClient: poolClient,
+    });
+  }
+
+  /**
+   * @private
+   * Return a connection that was checked out using `_checkout` to the pool
+   *
+   * @param {PgClient} client The checked out client
+   * @param {Error=} error If provided, the connection is destroyed instead of being reused
+   */
+  _release(client, error = undefined) {
+    client.hasClosed = true;
+    client._pgClient.release(error);
+  }
+
+  /**
+   * @private
+   * Pools discard connections that fail on their own, so there is nothing to replace before a
+   * query is retried
+   *
+   * @returns {boolean}
+   */
+  _replaceFailedConnection() {
+    return true;
+  }
+
+  /**
+   * Mark the pool as in use. The pool opens connections on demand, so this only registers the
+   * pool with the system that automatically closes open connections
+   */
+  async connect() {
+    if (!this._hasConnected) {
+      this._hasConnected = true;
+
+      if (this._autoClose) {
+        PgClient._openClients.push(this);
+      }
+    }
+  }
+
+  /**
+   * Close the pool, along with the client used to listen for notifications if there is one
+   */
+  async end() {
+    if (this._listenerClient && !this._listenerClient.hasClosed) {
+      await this._listenerClient.end();
+    }
+    return super.end();
+  }
+
+  /**
+   * Listen for notifications sent to a channel. Pooled connections come and go, so a dedicated
+   * client (outside of the pool) is used for listening. See `PgClient.listen` for details
+   *
+   * @param {string} channel Name of the channel to listen to
+   * @param {import('./pg-client.js').PgClientNotificationHandler} handler Function called for
+   *  every notification
+   *
+   * @returns {Promise<() => Promise<void>>} Function that removes this handler when called
+   */
+  async listen(channel, handler) {
+    if (!this._listenerClient) {
+      this._listenerClient = new PgClient(this._pgConfig, {
+        ...this._opts, hooks: this._hooks, tracer: this._tracer, credentials: this._credentialProvider,
+      });
+    }
+    return this._listenerClient.listen(channel, handler);
+  }
+
+  /**
+   * Stop listening for notifications on a channel. See `PgClient.unlisten` for details
+   *
+   * @param {string} channel Name of the channel to stop listening to
+   * @param {import('./pg-client.js').PgClientNotificationHandler=} handler The handler to remove
+   */
+  async unlisten(channel, handler = undefined) {
+    if (this._listenerClient) {
+      await this._listenerClient.unlisten(channel, handler);
+    }
+  }
+
+  /**
+   * Perform a query using a dedicated connection checked out from the pool, returning a cursor
+   * that can be used to page through the query results. The connection is returned to the pool
+   * when the cursor is closed
+   *
+   * NOTE: Until the cursor is closed using `cursor.close()` the connection will not be returned
+   *       to the pool
+   *
+   * @param {pg.QueryConfig | string} params
+   * @param {*[]=} values
+   * @param {import('./pg-client.js').PgClientQueryOpts} opts Options for this query, combined
+   *  with the client defaults
+   *
+   * @returns {import('pg-cursor')}
+   */
+  async cursorQuery(params, values = undefined, opts = {}) {
+    const client = await this._checkout();
+
+    let cursor;
+    try {
+      cursor = await client.cursorQuery(params, values, opts);
+    } catch (e) {
+      this._release(client, e);
+      throw e;
+    }
+
+    // Connections that fail to close the cursor may still be in the middle of the query, so they
+    // are destroyed instead of being reused
+    const close = cursor.close.bind(cursor);
+    cursor.close = (callback) => {
+      const closePromise = close().then(
+        () => this._release(client),
+        (e) => {
+          this._release(client, e);
+          throw e;
+        },
+      );
+      if (!callback) {
+        return closePromise;
+      }
+      closePromise.then(() => callback(), callback);
+    };
+
+    return cursor;
+  }
+
+  /**
+   * Run a callback inside of a transaction on a dedicated connection checked out from the pool.
+   * See `PgClient.transaction` for details. Nested transactions must be started using the
+   * provided `tx` client, since calling `transaction` on the pool again will use a different
+   * connection
+   *
+   * @template T
+   * @param {(tx: PgClient) => Promise<T>} callback Function that performs queries using the
+   *  provided transaction client
+   * @param {import('./pg-client.js').PgClientTransactionOpts} opts Additional options
+   *
+   * @returns {Promise<T>} Whatever the callback resolved with
+   */
+  async transaction(callback, opts = {}) {
+    const client = await this._checkout();
+
+    let failure;
+    try {
+      return await client.transaction(callback, opts);
+    } catch (e) {
+      // A failed rollback leaves the connection inside of the transaction, so it is destroyed
+      // instead of being reused. Connections that were rolled back are as good as new
+      failure = client._rollbackError;
+      throw e;
+    } finally {
+      this._release(client, failure);
+    }
+  }
+}
+
+module.exports = PgPool;
@@ -0,0 +1,233 @@
+const { PgEnhancedError, UnsafeFilterError } = require('../../models/errors.js');
+const examineFilterKeys = require('../utils/examine-filter-keys.js');
+const parseTaggedTemplate = require('../utils/parse-tagged-template.js');
+
+/** @typedef {import('./pg-client.js')} PgClient */
+
+/**
+ * Operations that change rows, which refuse filters with any `undefined` values
+ */
+const MUTATIONS = ['update', 'delete'];
+
+/**
+ * @typedef PgTableFilterOpts
+ * @property {boolean=} all If `true`, the operation is allowed to affect every row when the filter
+ *  keys are missing, empty or entirely `undefined`, or when an `update` or `delete` filter has
+ *  any `undefined` values. Otherwise an `UnsafeFilterError` is thrown
+ */
+
+/**
+ * @typedef PgTableListOpts
+ * @property {Object<string, 'ASC'|'DESC'>=} orderBy Columns to order the rows by, in order of
+ *  precedence. Example: `{createdAt: 'DESC', id: 'ASC'}`
+ * @property {number=} limit Maximum number of rows to return
+ * @property {number=} offset Number of rows to skip
+ */
+
+/**
+ * Helpers for common operations on a single table, built on top of the escape wrappers. Filters
+ * are dictionaries of column names and values, which support the same operators as
+ * `escape.andDictionary`. Operations that need a filter refuse to run without a meaningful one,
+ * since a filter with nothing but `undefined` values would otherwise match every row. Updates and
+ * deletes also refuse filters with any `undefined` value, since leaving out a single condition
+ * can change more rows than intended
+ */
+class PgTable {
+  /**
+   * @private
+   * @type {PgClient}
+   * Client used to run the queries
+   */
+  _client;
+
+  /**
+   * @private
+   * Name of the table
+   */
+  _name;
+
+  /**
+   * @private
+   * Query options applied to every query
+   */
+  _queryOpts;
+
+  /**
+   * @param {PgClient} client Client used to run the queries
+   * @param {string} name Name of the table
+   * @param {import('./pg-client.js').PgClientQueryOpts} queryOpts Query options applied to every
+   *  query, combined with the client defaults
+   */
+  constructor(client, name, queryOpts = {}) {
+    this._client = client;
+    this._name = name;
+    this._queryOpts = queryOpts;
+  }
+
+  // -- Instance Methods --
+  /**
+   * Get a single row matching the filter
+   *
+   * @param {object} filters Column values the row must match
+   * @param {PgTableFilterOpts} opts
+   *
+   * @returns {Promise<object|undefined>} The first matching row, if there is one
+   */
+  async get(filters, opts = {}) {
+    this._assertSafeFilters('get', filters, opts);
+    const {escape} = this._client;
+
+    const [row] = await this._client.sql(this._queryOpts)`
+      SELECT * FROM ${escape.identifier(this._name)}
+      WHERE TRUE ${escape.andDictionary(filters || {})}
+      LIMIT 1
+    `;
+    return row;
+  }
+
+  /**
+   * List the rows matching a filter. Every row is listed if no filter is provided
+   *
+   * @param {object} filters Column values the rows must match
+   * @param {PgTableListOpts} opts
+   *
+   * @returns {Promise<object[]>}
+   */
+  async list(filters = {}, opts = {}) {
+    const {orderBy = {}, limit, offset} = opts;
+    const {escape, fragment} = this._client;
+
+    const orderColumns = Object.entries(orderBy).map(([column, direction]) => {
+      const upperDirection = String(direction).toUpperCase();
+      if (upperDirection !== 'ASC' && upperDirection !== 'DESC') {
+        throw new PgEnhancedError(`Invalid order direction "${direction}" for column "${column}". Expected ASC or DESC`);
+      }
+      return fragment`${escape.identifier(column)} ${escape.raw(upperDirection)}`;
+    });
+
+    return this._client.sql(this._queryOpts)`
+      SELECT * FROM ${escape.identifier(this._name)}
+      WHERE TRUE ${escape.andDictionary(filters || {})}
+      ${orderColumns.length ? fragment`ORDER BY ${fragment.join(orderColumns)}` : fragment.empty}
+      ${typeof limit !== 'undefined' ? fragment`LIMIT ${escape.parameter(limit)}` : fragment.empty}
+      ${typeof offset !== 'undefined' ? fragment`OFFSET ${escape.parameter(offset)}` : fragment.empty}
+    `;
+  }
+
+  /**
+   * Insert one or more rows
+   *
+   * @param {object|object[]} rows The row, or rows, to insert
+   * @param {import('./escape-clients.js').EscapeKeysAndValuesOpts} opts
+   *
+   * @returns {Promise<object|object[]>} The inserted row, or rows if an array was provided
+   */
+  async insert(rows, opts = {}) {
+    const {escape} = this._client;
+
+    const insertedRows = await this._client.sql(this._queryOpts)`
+      INSERT INTO ${escape.identifier(this._name)} ${escape.keysAndValues(rows, opts)}
+      RETURNING *
+    `;
+    return Array.isArray(rows) ? insertedRows : insertedRows[0];
+  }
+
+  /**
+   * Update the rows matching a filter. Keys of `values` that are `undefined` are left as-is
+   *
+   * @param {object} filters Column values the rows must match
+   * @param {object} values Column values to set
+   * @param {PgTableFilterOpts} opts
+   *
+   * @returns {Promise<object[]>} The updated rows
+   */
+  async update(filters, values, opts = {}) {
+    this._assertSafeFilters('update', filters, opts);
+    const {escape} = this._client;
+
+    const definedValues = Object.fromEntries(
+      Object.entries(values || {}).filter(([, value]) => typeof value !== 'undefined'),
+    );
+    if (!Object.keys(definedValues).length) {
+      throw new PgEnhancedError(`No values provided to update rows in "${this._name}"`);
+    }
+
+    return this._client.sql(this._queryOpts)`
+      UPDATE ${escape.identifier(this._name)} SET ${escape.dictionary(definedValues)}
+      WHERE TRUE ${escape.andDictionary(filters || {})}
+      RETURNING *
+    `;
+  }
+
+  /**
+   * Delete the rows matching a filter
+   *
+   * @param {object} filters Column values the rows must match
+   * @param {PgTableFilterOpts} opts
+   *
+   * @returns {Promise<object[]>} The deleted rows
+   */
+  async delete(filters, opts = {}) {
+    this._assertSafeFilters('delete', filters, opts);
+    const {escape} = this._client;
+
+    return this._client.sql(this._queryOpts)`
+      DELETE FROM ${escape.identifier(this._name)}
+      WHERE TRUE ${escape.andDictionary(filters || {})}
+      RETURNING *
+    `;
+  }
+
+  /**
+   * Count the rows matching a filter. Every row is counted if no filter is provided
+   *
+   * @param {object} filters Column values the rows must match
+   *
+   * @returns {Promise<number>}
+   */
+  async count(filters = {}) {
+    const {escape} = this._client;
+
+    // The count is read as-is, regardless of how the client transforms results
+    const [{count}] = await this._client.sql({...this._queryOpts, keyCase: undefined, rowMapper: undefined})`
+      SELECT count(*) AS "count" FROM ${escape.identifier(this._name)}
+      WHERE TRUE ${escape.andDictionary(filters || {})}
+    `;
+    return Number(count);
+  }
+
+  /**
+   * @private
+   * Throw an `UnsafeFilterError` if the filter keys would match every row, or if an update or
+   * delete would silently leave out a condition, unless every row has been explicitly requested
+   *
+   * @param {string} operation Name of the operation being run
+   * @param {object} filters
+   * @param {PgTableFilterOpts} opts
+   */
+  _assertSafeFilters(operation, filters, opts) {
+    if (opts.all) {
+      return;
+    }
+
+    // Operator objects leave out operators whose operands are `undefined`, so a filter like
+    // `{id: {IN: undefined}}` has a defined value but no condition. Rendering the filter the same
+    // way the query will catches every way of ending up without one
+    const {escape} = this._client;
+    const {text: conditions} = parseTaggedTemplate({config: this._client._config})`${escape.andDictionary(filters || {})}`;
+
+    const examination = examineFilterKeys(filters);
+    examination.areAllFilterKeysUndefined = examination.areAllFilterKeysUndefined || !conditions;
+    if (
+      examination.areFilterKeysFalsy ||
+      examination.areFilterKeysEmpty ||
+      examination.areAllFilterKeysUndefined ||
+      examination.areEmptyStringFilterKeys ||
+      (MUTATIONS.includes(operation) && examination.areAnyFilterKeysUndefined)
+    ) {
+      throw new UnsafeFilterError(operation, this._name, examination);
+    }
+  }
+}
+
+module.exports = PgTable;
@@ -0,0 +1,65 @@
+/**
+ * Converts a `snake_case` key to `camelCase`. Only single underscores between words are removed,
+ * so keys like `_id` and `a__b` are kept as-is instead of colliding with `id` and `a_b`
+ *
+ * @param {string} key
+ */
+const toCamelCase = (key) => key.replace(/(?<=[^_])_([a-z0-9])/g, (match, char) => char.toUpperCase());
+
+/**
+ * Converts a `camelCase` key to `snake_case`
+ *
+ * @param {string} key
+ */
+const toSnakeCase = (key) => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+
+/**
+ * @typedef RowTransformOpts
+ * @property {'camel'|'snake'=} keyCase Convert the keys of every row to `camelCase` or
+ *  `snake_case`. Keys are left as-is if not provided
+ * @property {Object<string, (value: *) => *>=} columnParsers Functions used to parse the values
+ *  of specific columns, keyed by the column name as returned by the database (before any key case
+ *  conversion). Parsers receive the value after it has been parsed by its type parser, and are not
+ *  called for `null` values
+ * @property {(row: object) => *=} rowMapper Function used to map every row after all other
+ *  transformations have been applied
+ */
+
+/**
+ * Takes a set of row transformation options and creates a function that will apply them to a
+ * single row. Returns `null` if the options do not require any transformations, so that rows can
+ * be returned untouched
+ *
+ * @param {RowTransformOpts} opts
+ *
+ * @returns {((row: object) => *)|null}
+ */
+const createRowTransformer = (opts = {}) => {
+  const {keyCase, columnParsers = {}, rowMapper} = opts;
+
+  const convertKey = {camel: toCamelCase, snake: toSnakeCase}[keyCase];
+  const hasColumnParsers = Object.keys(columnParsers).length > 0;
+
+  if (!convertKey && !hasColumnParsers && !rowMapper) {
+    return null;
+  }
+
+  return (row) => {
+    let result = row;
+
+    if (convertKey || hasColumnParsers) {
+      result = {};
+      for (const key in row) {
+        let value = row[key];
+        if (columnParsers[key] && value !== null) {
+          value = columnParsers[key](value);
+        }
+        result[convertKey ? convertKey(key) : key] = value;
+      }
+    }
+
+    return rowMapper ? rowMapper(result) : result;
+  };
+};
+
+module.exports = createRowTransformer;
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+const { InvalidPageTokenError } = require('../../models/errors.js');
+
+/**
+ * Decodes a continuation token created by `encodePageToken`, verifying its signature if a secret
+ * is provided and that it was created for the same sort columns
+ *
+ * @param {string} token The token to decode
+ * @param {string[]} columns Sort columns the token is expected to be for
+ * @param {string=} secret Secret the token was signed with, if any
+ *
+ * @returns {*[]} Values of the sort columns for the last row of the previous page
+ */
+const decodePageToken = (token, columns, secret = undefined) => {
+  if (typeof token !== 'string') {
+    throw new InvalidPageTokenError('Page token must be a string');
+  }
+
+  const [encoded, signature, ...rest] = token.split('.');
+  if (rest.length || (secret && !signature) || (!secret && signature)) {
+    throw new InvalidPageTokenError('Page token is malformed');
+  }
+
+  if (secret) {
+    const expected = crypto.createHmac('sha256', secret).update(encoded).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw new InvalidPageTokenError('Page token has an invalid signature');
+    }
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+  } catch (e) {
+    throw new InvalidPageTokenError('Page token is malformed');
+  }
+
+  const isMatchingColumns = Array.isArray(payload?.c) &&
+    payload.c.length === columns.length &&
+    payload.c.every((column, i) => column === columns[i])
+  ;
+  if (!isMatchingColumns || !Array.isArray(payload.v) || payload.v.length !== columns.length) {
+    throw new InvalidPageTokenError('Page token was created for different sort columns');
+  }
+
+  return payload.v;
+};
+
+module.exports = decodePageToken;
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+/**
+ * @typedef PageTokenPayload
+ * @property {string[]} columns Sort columns the token was created for
+ * @property {*[]} values Values of the sort columns for the last row of the page
+ */
+
+/**
+ * Encodes the sort keys of the last row of a page into an opaque continuation token. If a secret
+ * is provided the token is signed with an HMAC, in the form `<payload>.<signature>`
+ *
+ * @param {PageTokenPayload} payload
+ * @param {string=} secret Secret used to sign the token. The token is only encoded if not provided
+ *
+ * @returns {string}
+ */
+const encodePageToken = (payload, secret = undefined) => {
+  const {columns, values} = payload;
+  const encoded = Buffer.from(JSON.stringify({c: columns, v: values})).toString('base64url');
+  if (!secret) {
+    return encoded;
+  }
+
+  const signature = crypto.createHmac('sha256', secret).update(encoded).digest('base64url');
+  return `${encoded}.${signature}`;
+};
+
+module.exports = encodePageToken;
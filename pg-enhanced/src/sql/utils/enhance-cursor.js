@@ -0,0 +1,95 @@
+const { Readable } = require('stream');
+
+const { DBError } = require('../../models/errors.js');
+const redactError = require('../../models/utils/redact-error.js');
+
+/**
+ * @typedef EnhanceCursorOpts
+ * @property {import('pg').QueryConfig} queryConfig The query the cursor was created for
+ * @property {number[]} sensitiveIndexes Indexes of the query values that are sensitive
+ * @property {((row: object) => *)|null} transformRow Function applied to every row read
+ * @property {number} batchSize Default number of rows to read at a time when iterating
+ * @property {typeof import('../../../config/global.config.js')=} config Settings used to redact
+ *  read errors
+ */
+
+/**
+ * @typedef EnhancedCursorStreamOpts
+ * @property {number=} batchSize Number of rows to read from the database at a time
+ */
+
+/**
+ * Takes a `pg-cursor` instance and adds enhanced functionality to it. Rows read from the cursor
+ * are transformed, and read errors are converted to `DBError`s with the query and (redacted)
+ * parameters attached. The cursor also becomes an async iterable (usable with `for await`), and gains a
+ * `stream` method that returns a `Readable` object stream of rows. In both cases the cursor is
+ * closed automatically once iteration ends for any reason
+ *
+ * @param {import('pg-cursor')} cursor The cursor to enhance
+ * @param {EnhanceCursorOpts} opts
+ *
+ * @returns {import('pg-cursor') & AsyncIterable<object> & {stream: (opts?: EnhancedCursorStreamOpts) => Readable}}
+ */
+const enhanceCursor = (cursor, opts) => {
+  const {queryConfig, sensitiveIndexes, transformRow, batchSize, config} = opts;
+
+  const read = cursor.read.bind(cursor);
+  cursor.read = (rowCount, callback) => {
+    const readPromise = read(rowCount).then(
+      (rows) => transformRow ? rows.map(transformRow) : rows,
+      (e) => {
+        e.query = queryConfig.text;
+        redactError(e, queryConfig.values, sensitiveIndexes, config);
+        throw DBError.from(e);
+      },
+    );
+    if (!callback) {
+      return readPromise;
+    }
+    readPromise.then(rows => callback(null, rows), callback);
+  };
+
+  const close = cursor.close.bind(cursor);
+  cursor.close = (callback) => {
+    // Once a cursor has errored `pg` has already finished with the query and will not signal
+    // that it is ready again, so waiting for that signal would never resolve
+    const closePromise = cursor.state === 'error' ? Promise.resolve() : close();
+    if (!callback) {
+      return closePromise;
+    }
+    closePromise.then(() => callback(), callback);
+  };
+
+  /**
+   * Read every row from the cursor, closing it when finished, when an error is thrown, or when
+   * the consumer stops iterating early
+   *
+   * @param {number} size Number of rows to read at a time
+   */
+  const iterate = async function* (size) {
+    try {
+      let rows;
+      do {
+        rows = await cursor.read(size);
+        yield* rows;
+      } while (rows.length === size);
+    } finally {
+      await cursor.close();
+    }
+  };
+
+  cursor[Symbol.asyncIterator] = () => iterate(batchSize);
+
+  /**
+   * Create a `Readable` object stream of the cursor's rows
+   *
+   * @param {EnhancedCursorStreamOpts} streamOpts
+   */
+  cursor.stream = (streamOpts = {}) => {
+    return Readable.from(iterate(streamOpts.batchSize || batchSize), {objectMode: true});
+  };
+
+  return cursor;
+};
+
+module.exports = enhanceCursor;
@@ -7,8 +7,21 @@
  *  otherwise falsy
  * @property {boolean} areAllFilterKeysUndefined `true` if the filter keys object has keys, but
  *  all values are `undefined`
+ * @property {boolean} areAnyFilterKeysUndefined `true` if any of the values on the filter keys
+ *  object, or any operand of an operator object such as `{IN: undefined}`, are `undefined`
  */
 
+/**
+ * Checks if a value is an object that could hold operators, such as `{'>': 1}`
+ *
+ * @param {*} value
+ *
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+};
+
 /**
  * Takes an object being used as a set of filter or primary keys and examines if for specific
  * traits
@@ -23,15 +36,23 @@ const examineFilterKeys = (filterKeys) => {
     Object.keys(filterKeys).length === 0 ? true : false
   ;
 
+  // Every key is checked, since an empty string can come after a key with a defined value
   let areEmptyStringFilterKeys = false;
   let areAllFilterKeysUndefined = true;
+  let areAnyFilterKeysUndefined = false;
   for (const key in filterKeys) {
-    if (filterKeys[key] === '') {
+    const value = filterKeys[key];
+    if (value === '') {
       areEmptyStringFilterKeys = true;
     }
-    if (typeof filterKeys[key] !== 'undefined') {
+    if (typeof value !== 'undefined') {
       areAllFilterKeysUndefined = false;
-      break;
+    }
+    if (
+      typeof value === 'undefined' ||
+      (isPlainObject(value) && Object.values(value).some(operand => typeof operand === 'undefined'))
+    ) {
+      areAnyFilterKeysUndefined = true;
     }
   }
 
@@ -40,6 +61,7 @@ const examineFilterKeys = (filterKeys) => {
     areFilterKeysEmpty,
     areFilterKeysFalsy,
     areAllFilterKeysUndefined,
+    areAnyFilterKeysUndefined,
   };
 };
 
@@ -0,0 +1,51 @@
+const { PgEnhancedError } = require('../../models/errors.js');
+
+/**
+ * Isolation levels supported by PostgreSQL transactions
+ */
+const ISOLATION_LEVELS = [
+  'READ UNCOMMITTED',
+  'READ COMMITTED',
+  'REPEATABLE READ',
+  'SERIALIZABLE',
+];
+
+/**
+ * @typedef GenerateBeginStatementOpts
+ * @property {string=} isolationLevel Isolation level to use for the transaction. One of
+ *  `READ UNCOMMITTED`, `READ COMMITTED`, `REPEATABLE READ` or `SERIALIZABLE` (case insensitive).
+ *  The server default is used if not provided
+ * @property {boolean=} readOnly If `true` the transaction will be `READ ONLY`, if `false` it will
+ *  be `READ WRITE`. The server default is used if not provided
+ */
+
+/**
+ * Takes a set of transaction options and generates the `BEGIN` statement used to start a
+ * transaction with them. Throws a `PgEnhancedError` if an unknown isolation level is provided
+ *
+ * @param {GenerateBeginStatementOpts} opts
+ *
+ * @returns {string} The `BEGIN` statement
+ */
+const generateBeginStatement = (opts = {}) => {
+  const {isolationLevel, readOnly} = opts;
+
+  const modes = [];
+  if (typeof isolationLevel !== 'undefined') {
+    const normalizedLevel = String(isolationLevel).trim().toUpperCase().replace(/[\s_]+/g, ' ');
+    if (!ISOLATION_LEVELS.includes(normalizedLevel)) {
+      throw new PgEnhancedError(
+        `Unknown transaction isolation level "${isolationLevel}". Expected one of: ${ISOLATION_LEVELS.join(', ')}`,
+      );
+    }
+    modes.push(`ISOLATION LEVEL ${normalizedLevel}`);
+  }
+
+  if (typeof readOnly !== 'undefined') {
+    modes.push(readOnly ? 'READ ONLY' : 'READ WRITE');
+  }
+
+  return ['BEGIN', modes.join(', ')].filter(s => s).join(' ');
+};
+
+module.exports = generateBeginStatement;
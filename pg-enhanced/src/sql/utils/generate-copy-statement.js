@@ -0,0 +1,61 @@
+const pg = require('pg');
+
+const { EscapeIdentifier } = require('../clients/escape-clients.js');
+const { PgEnhancedError } = require('../../models/errors.js');
+const parseTaggedTemplate = require('./parse-tagged-template.js');
+
+/**
+ * Data formats supported by `COPY`
+ */
+const COPY_FORMATS = ['csv', 'text', 'binary'];
+
+/**
+ * @typedef GenerateCopyStatementOpts
+ * @property {string[]=} columns Columns to copy. All columns are copied if not provided
+ * @property {'csv'|'text'|'binary'=} format Format of the copied data. Default is `csv`
+ * @property {boolean=} header If the data has a header line with the column names. Only valid for
+ *  the `csv` format
+ * @property {string=} delimiter Character that separates columns. Not valid for the `binary`
+ *  format. Defaults to a comma for `csv` and a tab for `text`
+ * @property {string=} null String that represents a null value. Not valid for the `binary` format
+ */
+
+/**
+ * Generates a `COPY ... FROM STDIN` or `COPY ... TO STDOUT` statement for a table. `COPY` does
+ * not support bind parameters, so the table and columns are escaped as identifiers and the
+ * options are escaped as literals. Throws a `PgEnhancedError` if an unknown format is provided
+ *
+ * @param {'from'|'to'} direction If data is being copied into (`from`) or out of (`to`) the table
+ * @param {string} table Name of the table to copy
+ * @param {GenerateCopyStatementOpts} opts
+ *
+ * @returns {string} The `COPY` statement
+ */
+const generateCopyStatement = (direction, table, opts = {}) => {
+  const {columns, format = 'csv', header, delimiter, null: nullString} = opts;
+
+  if (!COPY_FORMATS.includes(format)) {
+    throw new PgEnhancedError(`Unknown COPY format "${format}". Expected one of: ${COPY_FORMATS.join(', ')}`);
+  }
+
+  const {text: target} = columns ?
+    parseTaggedTemplate`${new EscapeIdentifier(table)} (${new EscapeIdentifier(columns)})` :
+    parseTaggedTemplate`${new EscapeIdentifier(table)}`
+  ;
+
+  const copyOpts = [`FORMAT ${format}`];
+  if (typeof header !== 'undefined') {
+    copyOpts.push(`HEADER ${header ? 'true' : 'false'}`);
+  }
+  if (typeof delimiter !== 'undefined') {
+    copyOpts.push(`DELIMITER ${pg.escapeLiteral(delimiter)}`);
+  }
+  if (typeof nullString !== 'undefined') {
+    copyOpts.push(`NULL ${pg.escapeLiteral(nullString)}`);
+  }
+
+  const source = direction === 'from' ? 'FROM STDIN' : 'TO STDOUT';
+  return `COPY ${target} ${source} WITH (${copyOpts.join(', ')})`;
+};
+
+module.exports = generateCopyStatement;
@@ -0,0 +1,17 @@
+/**
+ * Calculates how long to wait before retrying, using exponential backoff with "full jitter". The
+ * delay is a random amount between zero and the exponential delay, which keeps clients that failed
+ * at the same time from retrying at the same time
+ *
+ * @param {number} attempt The attempt that just failed, starting at 1
+ * @param {{baseDelayMs: number, maxDelayMs: number}} retryPolicy
+ *
+ * @returns {number} The delay in ms
+ */
+const getRetryDelay = (attempt, retryPolicy) => {
+  const {baseDelayMs, maxDelayMs} = retryPolicy;
+  const exponentialDelay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * exponentialDelay);
+};
+
+module.exports = getRetryDelay;
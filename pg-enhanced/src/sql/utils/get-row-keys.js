@@ -0,0 +1,37 @@
+const { MismatchedKeysError } = require('../../models/errors.js');
+
+/**
+ * Gets the keys to use when inserting a set of dictionaries together. Throws a
+ * `MismatchedKeysError` naming the first offending dictionary if the dictionaries do not all have
+ * the same keys, unless `mismatchedKeys` is `default`, in which case every key found in any
+ * dictionary is used
+ *
+ * @param {object[]} rows The dictionaries being inserted
+ * @param {'throw'|'default'} mismatchedKeys What to do when the dictionaries have different keys
+ *
+ * @returns {string[]}
+ */
+const getRowKeys = (rows, mismatchedKeys) => {
+  const keys = Object.keys(rows[0]);
+
+  if (mismatchedKeys === 'default') {
+    const keySet = new Set(keys);
+    for (const row of rows) {
+      Object.keys(row).forEach(key => keySet.add(key));
+    }
+    return [...keySet];
+  }
+
+  rows.forEach((row, rowIndex) => {
+    const rowKeys = Object.keys(row);
+    const missingKeys = keys.filter(key => !rowKeys.includes(key));
+    const extraKeys = rowKeys.filter(key => !keys.includes(key));
+    if (missingKeys.length || extraKeys.length) {
+      throw new MismatchedKeysError(rowIndex, missingKeys, extraKeys);
+    }
+  });
+
+  return keys;
+};
+
+module.exports = getRowKeys;
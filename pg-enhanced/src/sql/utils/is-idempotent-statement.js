@@ -0,0 +1,37 @@
+/**
+ * Statements that only read data, and can be safely run more than once
+ */
+const idempotentOperations = new Set(['SELECT', 'SHOW', 'TABLE', 'VALUES']);
+
+/**
+ * Matches calls to built-in functions with side effects, which make a statement unsafe to run
+ * more than once even though it only reads data
+ */
+const sideEffectFunctionRegex = /\b(nextval|setval|set_config|pg_notify|pg_(try_)?advisory_\w+|pg_(cancel|terminate)_backend)\s*\(/i;
+
+/**
+ * Checks if a query can safely be run more than once, which is only assumed for statements that
+ * read data. `WITH` queries are not considered idempotent since they can contain data-modifying
+ * statements, and neither are `SELECT ... INTO` queries since they create tables, or statements
+ * that call built-in functions with side effects such as `nextval` and `pg_notify`
+ *
+ * NOTE: Functions defined in the database cannot be checked, so queries calling functions that
+ *       modify data need to opt out using the `idempotent: false` query option
+ *
+ * @param {string} text The query text
+ *
+ * @returns {boolean}
+ */
+const isIdempotentStatement = (text) => {
+  const operation = /^\s*([a-zA-Z]+)/.exec(text || '')?.[1]?.toUpperCase();
+  if (!idempotentOperations.has(operation)) {
+    return false;
+  }
+  if (operation === 'SELECT' && /\bINTO\b/i.test(text)) {
+    return false;
+  }
+
+  return !sideEffectFunctionRegex.test(text);
+};
+
+module.exports = isIdempotentStatement;
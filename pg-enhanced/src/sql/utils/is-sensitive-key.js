@@ -0,0 +1,44 @@
+const globalConfig = require('../../../config/global.config.js');
+
+/**
+ * Parsed matchers, keyed by the pattern string they were parsed from, so that the patterns only
+ * need to be parsed once
+ *
+ * @type {Map<string, RegExp[]>}
+ */
+const matcherCache = new Map();
+
+/**
+ * Parses a comma separated list of column names and `/regex/` patterns into regular expressions
+ *
+ * @param {string} patterns
+ *
+ * @returns {RegExp[]}
+ */
+const parsePatterns = (patterns) => {
+  return patterns.split(',').map(p => p.trim()).filter(Boolean).map((pattern) => {
+    const regexResult = /^\/(.+)\/$/.exec(pattern);
+    if (regexResult) {
+      return new RegExp(regexResult[1], 'i');
+    }
+    return new RegExp(`^${pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  });
+};
+
+/**
+ * Checks if the values stored under a key (usually a column name) should be treated as sensitive
+ *
+ * @param {string} key The key to check
+ * @param {string} patterns Comma separated list of column names and `/regex/` patterns. Defaults
+ *  to `PG_ENHANCED_REDACTED_KEYS`
+ *
+ * @returns {boolean}
+ */
+const isSensitiveKey = (key, patterns = globalConfig.PG_ENHANCED_REDACTED_KEYS) => {
+  if (!matcherCache.has(patterns)) {
+    matcherCache.set(patterns, parsePatterns(patterns || ''));
+  }
+  return matcherCache.get(patterns).some(matcher => matcher.test(key));
+};
+
+module.exports = isSensitiveKey;
@@ -6,32 +6,388 @@ const {
   EscapeBase,
   EscapeAndDictionary,
   EscapeArrayParameters,
+  EscapeTypedArray,
+  EscapeIn,
+  EscapeJson,
   EscapeDictionary,
   EscapeIdentifier,
   EscapeParameter,
+  EscapeRaw,
+  EscapeSensitive,
   EscapeKeysAndValues,
   EscapeKeysAndValuesWithExpiresIn,
+  EscapeUpsert,
+  EscapeFragment,
 } = require('../clients/escape-clients.js');
+const { PgEnhancedError } = require('../../models/errors.js');
+const getRowKeys = require('./get-row-keys.js');
+const globalConfig = require('../../../config/global.config.js');
+const isSensitiveKey = require('./is-sensitive-key.js');
 
 /**
- * Takes the same arguments as a tagged template literal and parses them into a query config
- * object that can be passed directly to a pg query function
+ * @typedef {QueryConfig & {sensitiveIndexes?: number[]}} ParsedQueryConfig
+ * Query config with the indexes of any values that are sensitive and need to be redacted
+ */
+
+/**
+ * @typedef ParseTaggedTemplateOpts
+ * @property {boolean=} strict If `true`, values without an escape wrapper are sent as parameters,
+ *  with plain objects sent as `jsonb`, only `escape.raw` values are placed into the query text
+ *  and bare `undefined` values throw a `PgEnhancedError`. If `false`, strings and numbers are
+ *  placed into the query text as-is, objects are stringified into it and `undefined` values are
+ *  left out. Defaults to the `PG_ENHANCED_STRICT_SQL` setting of `config`
+ * @property {typeof globalConfig=} config Settings used to parse the template, such as the
+ *  redacted keys. Defaults to the global settings
+ */
+
+/**
+ * @callback AddValue
+ * Adds a value to the values array, keeping track of it if it is sensitive
+ * @param {*} value The value to add. Values wrapped with `escape.sensitive` are unwrapped
+ * @param {string=} key Key the value is stored under, checked against `PG_ENHANCED_REDACTED_KEYS`
+ * @returns {string} The parameter index of the value, such as `$1`
+ */
+
+/**
+ * Checks if a value is a plain object (or class instance) that should be sent as JSON, rather
+ * than a value that `pg` already knows how to send such as a date, buffer or array
+ *
+ * @param {*} value
+ *
+ * @returns {boolean}
+ */
+const isJsonObject = (value) => {
+  return value !== null && typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !Buffer.isBuffer(value) &&
+    typeof value.toPostgres !== 'function'
+  ;
+};
+
+/**
+ * Operators that can be used as keys of an `andDictionary` value object
+ */
+const DICTIONARY_OPERATORS = [
+  '=', '!=', '<>', '<', '<=', '>', '>=',
+  'LIKE', 'ILIKE', 'NOT LIKE', 'NOT ILIKE', 'IS NULL', 'IN', 'NOT IN',
+];
+
+/**
+ * Checks if an `andDictionary` value is an object keyed by operators, rather than a value to
+ * compare against
+ *
+ * @param {*} value
+ *
+ * @returns {boolean}
+ */
+const isOperatorObject = (value) => {
+  if (!isJsonObject(value) || value instanceof EscapeBase) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => DICTIONARY_OPERATORS.includes(key.toUpperCase()));
+};
+
+/**
+ * Renders a type cast for a parameter, such as `::int` or `::int[]`. Types are placed directly
+ * into the query text, so anything that does not look like a type name is rejected
+ *
+ * @param {string=} type The type to cast to. Nothing is rendered if not provided
+ * @param {boolean} isArray If the cast should be to an array of the type
+ *
+ * @returns {string}
+ */
+const renderTypeCast = (type, isArray = false) => {
+  if (typeof type === 'undefined') {
+    return '';
+  }
+
+  if (!/^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?( [a-z]+)*(\(\d+(, ?\d+)?\))?$/i.test(type)) {
+    throw new PgEnhancedError(`Invalid parameter type "${type}"`);
+  }
+  return `::${type}${isArray ? '[]' : ''}`;
+};
+
+/**
+ * Adds an array of values as a single parameter. The whole array is treated as sensitive if any
+ * of its values are wrapped with `escape.sensitive`
+ *
+ * @param {*[]} values
+ * @param {AddValue} addValue
+ * @param {string=} key Key the values are stored under, if any
+ *
+ * @returns {string} The parameter index of the array
+ */
+const addArrayValue = (values, addValue, key = undefined) => {
+  if (!Array.isArray(values)) {
+    throw new PgEnhancedError(`Expected an array of values, got "${typeof values}"`);
+  }
+
+  const isSensitive = values.some(value => value instanceof EscapeSensitive);
+  const unwrapped = values.map(value => value instanceof EscapeSensitive ? value.value : value);
+  return addValue(isSensitive ? new EscapeSensitive(unwrapped) : unwrapped, key);
+};
+
+/**
+ * Renders a list of values to match against, in the form `IN ($1, $2)` for small lists and
+ * `= ANY($1::type[])` for empty or large lists
+ *
+ * @param {*[]} values The values to match against
+ * @param {AddValue} addValue Function used to add the values to the values array
+ * @param {{type?: string, negate?: boolean, key?: string}} options `negate` renders `NOT IN` and
+ *  `<> ALL` instead
+ * @param {number} maxParameters Maximum number of values sent as separate parameters
+ *
+ * @returns {string}
+ */
+const renderIn = (values, addValue, options, maxParameters) => {
+  const {type, negate = false, key} = options;
+
+  if (Array.isArray(values) && values.length > 0 && values.length <= maxParameters) {
+    const cast = renderTypeCast(type);
+    const paramIndexes = values.map(value => `${addValue(value, key)}${cast}`);
+    return `${negate ? 'NOT IN' : 'IN'} (${paramIndexes.join(', ')})`;
+  }
+
+  const param = `${addArrayValue(values, addValue, key)}${renderTypeCast(type, true)}`;
+  return negate ? `<> ALL(${param})` : `= ANY(${param})`;
+};
+
+/**
+ * Renders a single `andDictionary` condition using an operator
+ *
+ * @param {string} identifier The escaped column identifier
+ * @param {string} operator One of the `DICTIONARY_OPERATORS`
+ * @param {*} value The value to compare against
+ * @param {AddValue} addValue Function used to add the value to the values array
+ * @param {string} key Key the value is stored under
+ * @param {number} maxParameters Maximum number of `IN` list values sent as separate parameters
+ *
+ * @returns {string}
+ */
+const renderCondition = (identifier, operator, value, addValue, key, maxParameters) => {
+  if (operator === 'IS NULL') {
+    return `${identifier} IS ${value ? '' : 'NOT '}NULL`;
+  }
+  if (operator === 'IN' || operator === 'NOT IN') {
+    return `${identifier} ${renderIn(value, addValue, {negate: operator === 'NOT IN', key}, maxParameters)}`;
+  }
+  return `${identifier} ${operator} ${addValue(value, key)}`;
+};
+
+/**
+ * Renders a dictionary, or array of dictionaries, into the form
+ * `(key1,key2) VALUES ($1,$2),($3,$4)` while adding the appropriate values to the `values` array
  *
+ * @param {object|object[]} rows The dictionaries to render
+ * @param {AddValue} addValue Function used to add the row values to the values array
+ * @param {import('../clients/escape-clients.js').EscapeKeysAndValuesOpts} options
+ *
+ * @returns {{text: string, keys: string[]}} The rendered text and the keys that were used
+ */
+const renderKeysAndValues = (rows, addValue, options) => {
+  const {mismatchedKeys = 'throw'} = options;
+
+  if (!Array.isArray(rows)) {
+    rows = [rows];
+  }
+
+  const keys = getRowKeys(rows, mismatchedKeys);
+  const rowKeys = keys.map(key => pg.escapeIdentifier(key));
+
+  const paramIndexGroups = rows.map((row) => {
+    const paramIndexes = keys.map((key) => {
+      // Only reachable with the `default` mode, since keys are guaranteed to match otherwise
+      if (typeof row[key] === 'undefined' && mismatchedKeys === 'default') {
+        return 'DEFAULT';
+      }
+      return addValue(row[key], key);
+    });
+    return `(${paramIndexes.join(',')})`;
+  });
+
+  return {
+    text: `(${rowKeys.join(',')}) VALUES ${paramIndexGroups.join(',')}`,
+    keys,
+  };
+};
+
+/**
+ * Renders a dictionary, or array of dictionaries, the same way as `renderKeysAndValues`, except
+ * that rows with an `expiresIn` value (in seconds) have their `expiresAt` and `expiresAtEpoch`
+ * columns calculated by the database. When some rows have an `expiresIn` value, the other rows use
+ * their own `expiresAt` and `expiresAtEpoch` values, or `DEFAULT` if they do not have them
+ *
+ * @param {object|object[]} rows The dictionaries to render
+ * @param {AddValue} addValue Function used to add the row values to the values array
+ * @param {import('../clients/escape-clients.js').EscapeKeysAndValuesOpts} options
+ *
+ * @returns {string}
+ */
+const renderKeysAndValuesWithExpiresIn = (rows, addValue, options) => {
+  const {mismatchedKeys = 'throw'} = options;
+
+  if (!Array.isArray(rows)) {
+    rows = [rows];
+  }
+
+  // An `expiresIn` of 0 is a valid expiration (right now), so only missing values are ignored
+  const isExpiring = row => row.expiresIn !== null && typeof row.expiresIn !== 'undefined';
+  const hasExpiresIn = rows.some(isExpiring);
+  const expiresKeys = ['expiresIn', 'expiresAt', 'expiresAtEpoch'];
+
+  // The expiration columns are rendered separately when they are calculated, so they are left out
+  // when checking that every row has the same keys
+  const keyRows = !hasExpiresIn ? rows : rows.map((row) => {
+    return Object.fromEntries(Object.entries(row).filter(([key]) => !expiresKeys.includes(key)));
+  });
+  const keys = getRowKeys(keyRows, mismatchedKeys);
+
+  const rowKeys = keys.map(key => pg.escapeIdentifier(key));
+  if (hasExpiresIn) {
+    rowKeys.push(pg.escapeIdentifier('expiresAt'), pg.escapeIdentifier('expiresAtEpoch'));
+  }
+
+  const paramIndexGroups = rows.map((row) => {
+    const paramIndexes = keys.map((key) => {
+      if (typeof row[key] === 'undefined' && mismatchedKeys === 'default') {
+        return 'DEFAULT';
+      }
+      return addValue(row[key], key);
+    });
+
+    if (isExpiring(row)) {
+      paramIndexes.push(
+        /*sql*/`now() + ${addValue(row.expiresIn)}::interval SECOND`,
+        /*sql*/`FLOOR(EXTRACT(EPOCH FROM NOW())) + ${addValue(row.expiresIn)}`,
+      );
+    } else if (hasExpiresIn) {
+      for (const key of ['expiresAt', 'expiresAtEpoch']) {
+        paramIndexes.push(typeof row[key] === 'undefined' ? 'DEFAULT' : addValue(row[key], key));
+      }
+    }
+
+    return `(${paramIndexes.join(', ')})`;
+  });
+
+  return `(${rowKeys.join(', ')}) VALUES ${paramIndexGroups.join(', ')}`;
+};
+
+/**
+ * Renders the `ON CONFLICT` clause for an upsert
+ *
+ * @param {string[]} keys The keys of the rows being inserted
+ * @param {import('../clients/escape-clients.js').EscapeUpsertOpts} options
+ * @param {(fragment: EscapeFragment) => string} renderFragment Renders a fragment in place, so
+ *  that its parameters are numbered along with the rest of the query
+ *
+ * @returns {string}
+ */
+const renderOnConflict = (keys, options, renderFragment) => {
+  const {doNothing = false, update = 'all', where} = options;
+
+  // The condition is placed into the query text, so it has to be built the same way as any other
+  // SQL rather than accepted as a plain string that could contain user input
+  if (typeof where !== 'undefined' && !(where instanceof EscapeFragment) && !(where instanceof EscapeRaw)) {
+    throw new PgEnhancedError('The upsert `where` condition must be a `fragment` or an `escape.raw` value');
+  }
+
+  let conflictTarget = options.conflictTarget || [];
+  if (!Array.isArray(conflictTarget)) {
+    conflictTarget = [conflictTarget];
+  }
+
+  const target = conflictTarget.length ?
+    ` (${conflictTarget.map(key => pg.escapeIdentifier(key)).join(',')})` :
+    ''
+  ;
+
+  const updateKeys = update === 'all' ?
+    keys.filter(key => !conflictTarget.includes(key)) :
+    update
+  ;
+
+  // Postgres needs at least one column to update, so there is nothing to do without any
+  if (doNothing || !updateKeys.length) {
+    return `ON CONFLICT${target} DO NOTHING`;
+  }
+
+  if (!target) {
+    throw new PgEnhancedError('A conflict target is required to update conflicting rows in an upsert');
+  }
+
+  const setStrings = updateKeys.map((key) => {
+    const identifier = pg.escapeIdentifier(key);
+    return `${identifier}=EXCLUDED.${identifier}`;
+  });
+
+  let whereString = '';
+  if (where instanceof EscapeFragment) {
+    whereString = ` WHERE ${renderFragment(where)}`;
+  } else if (where && typeof where.value !== 'undefined') {
+    whereString = ` WHERE ${where.value}`;
+  }
+  return `ON CONFLICT${target} DO UPDATE SET ${setStrings.join(', ')}${whereString}`;
+};
+
+/**
+ * Parses the pieces of a tagged template into a query config object. See `parseTaggedTemplate`
+ *
+ * @param {ParseTaggedTemplateOpts} opts
  * @param {string[]} strings Array of string pieces
  * @param {*[]} args Values to place in between the string pieces
  *
- * @returns {QueryConfig} The parsed query config object
+ * @returns {ParsedQueryConfig} The parsed query config object
  */
-const parseTaggedTemplate = (strings, ...args) => {
-  let text = '';
-  let values = [];
+const parseTemplate = (opts, strings, args) => {
+  const {config = globalConfig, strict = config.PG_ENHANCED_STRICT_SQL} = opts;
+  const maxParameters = config.PG_ENHANCED_IN_LIST_MAX_PARAMETERS;
+
+  const values = [];
+  const sensitiveIndexes = [];
+
+  /** @type {AddValue} */
+  const addValue = (value, key = undefined) => {
+    let isSensitive = typeof key !== 'undefined' && isSensitiveKey(key, config.PG_ENHANCED_REDACTED_KEYS);
+    if (value instanceof EscapeSensitive) {
+      value = value.value;
+      isSensitive = true;
+    }
 
-  // Step through the strings, combining and parsing args as we go
-  strings.forEach((stringSegment, index) => {
-    text += stringSegment;
+    values.push(value);
+    if (isSensitive) {
+      sensitiveIndexes.push(values.length - 1);
+    }
+    return `$${values.length}`;
+  };
+
+  // Step through the strings, combining and parsing args as we go. Fragments are rendered in place
+  // using this same function, so their parameters are numbered along with the rest of the query
+  const renderTemplate = (templateStrings, templateArgs) => {
+    let text = '';
+    templateStrings.forEach((stringSegment, index) => {
+      text += stringSegment;
 
-    if (typeof args[index] !== 'undefined') {
-      let arg = args[index];
+      // The last string segment has no value after it
+      if (index >= templateArgs.length) {
+        return;
+      }
+      let arg = templateArgs[index];
+
+      if (typeof arg === 'undefined') {
+        // Leaving the value out would silently change the query, such as turning `"id"=${id}` into
+        // a syntax error or dropping a condition, so strict mode refuses it
+        if (strict) {
+          throw new PgEnhancedError(`Undefined value interpolated into SQL template at position ${index}. Use null to send a NULL, or fragment.empty to leave out part of the query`);
+        }
+        return;
+      }
+
+      if (arg instanceof EscapeFragment) {
+        text += renderTemplate(arg.value.strings, arg.value.args);
+        return;
+      }
 
       if (arg instanceof EscapeBase && typeof arg.value === 'undefined') {
         return;
@@ -51,8 +407,19 @@ const parseTaggedTemplate = (strings, ...args) => {
             continue;
           }
 
-          values.push(value);
-          dictStrings.push(` AND ${pg.escapeIdentifier(key)}=$${values.length}`);
+          const identifier = pg.escapeIdentifier(key);
+          if (!isOperatorObject(value)) {
+            dictStrings.push(` AND ${identifier}=${addValue(value, key)}`);
+            continue;
+          }
+
+          for (const operator in value) {
+            if (typeof value[operator] === 'undefined') {
+              continue;
+            }
+            const upperOperator = operator.toUpperCase();
+            dictStrings.push(` AND ${renderCondition(identifier, upperOperator, value[operator], addValue, key, maxParameters)}`);
+          }
         }
 
         arg = dictStrings.join('');
@@ -65,12 +432,31 @@ const parseTaggedTemplate = (strings, ...args) => {
 
         const paramIndexes = [];
         for (const value of arr) {
-          values.push(value);
-          paramIndexes.push('$' + values.length);
+          paramIndexes.push(addValue(value));
         }
 
         arg = `ARRAY[${paramIndexes.join(', ')}]`;
 
+      } else if (arg instanceof EscapeTypedArray) {
+        // Parse typed arrays into a single parameter with an array cast, in the form:
+        // `$1::type[]`
+        arg = `${addArrayValue(arg.value, addValue)}${renderTypeCast(arg.options.type, true)}`;
+
+      } else if (arg instanceof EscapeIn) {
+        // Parse lists into the form:
+        // `IN ($1, $2)` or `= ANY($1::type[])`
+        arg = renderIn(arg.value, addValue, arg.options, maxParameters);
+
+      } else if (arg instanceof EscapeJson) {
+        // Parse JSON values into the form:
+        // `$1::jsonb`
+        // with the value serialized as JSON. `null` is sent as a database `NULL`
+        const {type = 'jsonb'} = arg.options;
+        const isSensitive = arg.value instanceof EscapeSensitive;
+        const json = isSensitive ? arg.value.value : arg.value;
+        const value = json === null ? null : JSON.stringify(json);
+        arg = `${addValue(isSensitive ? new EscapeSensitive(value) : value)}::${type}`;
+
       } else if (arg instanceof EscapeDictionary) {
         // Parse parameter dictionaries into the form:
         // `key1=$1, key2=$2`
@@ -79,8 +465,7 @@ const parseTaggedTemplate = (strings, ...args) => {
 
         const dictStrings = [];
         for (const key in dictionary) {
-          values.push(dictionary[key]);
-          dictStrings.push(`${pg.escapeIdentifier(key)}=$${values.length}`);
+          dictStrings.push(`${pg.escapeIdentifier(key)}=${addValue(dictionary[key], key)}`);
         }
 
         arg = dictStrings.join(', ');
@@ -94,79 +479,43 @@ const parseTaggedTemplate = (strings, ...args) => {
 
         arg = argValue.map(v => pg.escapeIdentifier(v)).join(', ');
 
+      } else if (arg instanceof EscapeRaw) {
+        // Parse raw values by placing them directly into the query text
+        arg = String(arg.value);
+
       } else if (arg instanceof EscapeParameter) {
         // Parse parameters by adding the argument to the values array and applying param index
-        values.push(arg.value);
-        arg = `$${values.length}`;
+        arg = addValue(arg.value);
+
+      } else if (arg instanceof EscapeSensitive) {
+        // Parse sensitive parameters the same way as regular parameters, keeping track of their
+        // index so that they can be redacted
+        arg = addValue(arg);
 
       } else if (arg instanceof EscapeKeysAndValues) {
         // Parse parameter dictionaries into the form:
         // `(key1, key2) VALUES ($1, $2), ($3, $4)`
         // while adding the appropriate values to the `values` array
-        let argValues = arg.value;
-
-        if (!Array.isArray(argValues)) {
-          argValues = [argValues];
-        }
-
-        // Use the first item as the template for the rest
-        const keys = Object.keys(argValues[0]);
-        const rowKeys = keys.map(key => pg.escapeIdentifier(key));
-        let rowValues = [];
-        let paramIndexGroups = [];
+        arg = renderKeysAndValues(arg.value, addValue, arg.options).text;
 
-        argValues.forEach((argValue) => {
-          rowValues = [...rowValues, ...keys.map(key => argValue[key])];
-          paramIndexGroups.push(keys.map((k, i) => {
-            return `$${(paramIndexGroups.length * keys.length) + i + 1}`;
-          }));
-        });
-
-        // Stringify the param index groups
-        paramIndexGroups = paramIndexGroups.map((paramIndexGroup) => {
-          return `(${paramIndexGroup.join(',')})`;
-        });
-
-        arg = `(${rowKeys.join(',')}) VALUES ${paramIndexGroups.join(',')}`;
-        values = [...values, ...rowValues];
+      } else if (arg instanceof EscapeUpsert) {
+        // Parse parameter dictionaries into the form:
+        // `(key1, key2) VALUES ($1, $2) ON CONFLICT ("key1") DO UPDATE SET "key2"=EXCLUDED."key2"`
+        // while adding the appropriate values to the `values` array
+        const {text: keysAndValuesText, keys} = renderKeysAndValues(arg.value, addValue, arg.options);
+        const renderFragment = f => renderTemplate(f.value.strings, f.value.args);
+        arg = `${keysAndValuesText} ${renderOnConflict(keys, arg.options, renderFragment)}`;
 
       } else if (arg instanceof EscapeKeysAndValuesWithExpiresIn) {
         // Parse parameter dictionaries into the form:
         // `(key1, key2, expiresAt) VALUES ($1, $2, now() + $3::interval SECOND)`
         // while adding the appropriate values to the `values` array
-        const argValue = {...arg.value};
-
-        let expiresIn = undefined;
-        if (argValue.expiresIn) {
-          expiresIn = argValue.expiresIn;
-          delete argValue.expiresIn;
-          delete argValue.expiresAt;
-          delete argValue.expiresAtEpoch;
-        }
-
-        const keys = Object.keys(argValue);
-        const rowKeys = keys.map(key => pg.escapeIdentifier(key));
-        const rowValues = keys.map(key => argValue[key]);
-
-        let index = 0;
-        const paramIndexes = keys.map((key, i) => {
-          index = i+1;
-          return `$${index}`;
-        });
-
-        if (expiresIn) {
-          rowKeys.push(pg.escapeIdentifier('expiresAt'));
-          rowValues.push(expiresIn);
-          paramIndexes.push(/*sql*/`now() + $${index+1}::interval SECOND`);
-
-          rowKeys.push(pg.escapeIdentifier('expiresAtEpoch'));
-          rowValues.push(expiresIn);
-          paramIndexes.push(/*sql*/`FLOOR(EXTRACT(EPOCH FROM NOW())) + $${index+2}`);
-        }
-
-        arg = `(${rowKeys.join(', ')}) VALUES (${paramIndexes.join(', ')})`;
-        values = [...values, ...rowValues];
+        arg = renderKeysAndValuesWithExpiresIn(arg.value, addValue, arg.options);
 
+      } else if (strict) {
+        // In strict mode anything else is parameterized, so that a forgotten escape wrapper can
+        // never place user input into the query text. Plain objects are sent as JSON
+        arg = isJsonObject(arg) ? `${addValue(JSON.stringify(arg))}::jsonb` : addValue(arg);
 
       } else if (typeof arg === 'object') {
         // Any other kind of object should just be stringified
@@ -174,14 +523,40 @@ const parseTaggedTemplate = (strings, ...args) => {
       }
 
       text += arg;
-    }
-  });
+    });
+    return text;
+  };
 
+  const text = renderTemplate(strings, args);
+
+  /** @type {ParsedQueryConfig} */
   const result = {
     text, values: values.length ? values : undefined,
   };
+  if (sensitiveIndexes.length) {
+    result.sensitiveIndexes = sensitiveIndexes;
+  }
 
   return result;
 };
 
+/**
+ * Takes the same arguments as a tagged template literal and parses them into a query config
+ * object that can be passed directly to a pg query function. Options can be provided by calling
+ * it with an options object first, which returns a tag with those options applied.
+ * Example: ``parseTaggedTemplate({strict: false})`SELECT ...` ``
+ *
+ * @param {string[]|ParseTaggedTemplateOpts} strings Array of string pieces, or options
+ * @param {*[]} args Values to place in between the string pieces
+ *
+ * @returns {ParsedQueryConfig} The parsed query config object
+ */
+const parseTaggedTemplate = (strings, ...args) => {
+  if (!Array.isArray(strings)) {
+    const opts = strings;
+    return (s, ...a) => parseTemplate(opts, s, a);
+  }
+  return parseTemplate({}, strings, args);
+};
+
 module.exports = parseTaggedTemplate;
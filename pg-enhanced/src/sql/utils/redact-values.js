@@ -0,0 +1,26 @@
+const globalConfig = require('../../../config/global.config.js');
+
+/**
+ * Creates a copy of a query's values with every sensitive value replaced by the
+ * `PG_ENHANCED_REDACTED_PLACEHOLDER`. The original values are returned as-is if none of them are
+ * sensitive
+ *
+ * @param {*[]=} values The query values
+ * @param {number[]=} sensitiveIndexes Indexes of the values that are sensitive
+ * @param {typeof globalConfig=} config Settings to read the placeholder from
+ *
+ * @returns {*[]|undefined}
+ */
+const redactValues = (values, sensitiveIndexes = [], config = globalConfig) => {
+  if (!values || !sensitiveIndexes.length) {
+    return values;
+  }
+
+  const redactedValues = [...values];
+  for (const index of sensitiveIndexes) {
+    redactedValues[index] = config.PG_ENHANCED_REDACTED_PLACEHOLDER;
+  }
+  return redactedValues;
+};
+
+module.exports = redactValues;
@@ -0,0 +1,105 @@
+const otel = require('@opentelemetry/api');
+
+const { version } = require('../../package.json');
+
+/** @typedef {import('../sql/clients/pg-client.js').PgClientTracerQuery} PgClientTracerQuery */
+/** @typedef {import('../sql/clients/pg-client.js').PgClientQuerySpan} PgClientQuerySpan */
+
+/**
+ * Name the tracer is registered under
+ */
+const TRACER_NAME = 'pg-enhanced';
+
+/**
+ * Takes a query string and retrieves the query operation (SELECT, INSERT, etc), which is the first
+ * word of the query
+ *
+ * @param {string} text
+ *
+ * @returns {string|undefined}
+ */
+const getQueryOperation = (text) => {
+  return /^\s*([a-zA-Z]+)/.exec(text || '')?.[1]?.toUpperCase();
+};
+
+/**
+ * @typedef OpenTelemetryTracerOpts
+ * @property {otel.TracerProvider=} tracerProvider Provider used to create the tracer. Defaults to
+ *  the globally registered provider
+ */
+
+/**
+ * Tracer that creates an OpenTelemetry span for every query, using the
+ * [database semantic conventions](https://opentelemetry.io/docs/specs/semconv/database/).
+ * Spans are created as children of the active span, and only ever include the query text, never
+ * the parameter values
+ */
+class OpenTelemetryTracer {
+  /**
+   * @private
+   * @type {otel.Tracer}
+   * Tracer used to create spans
+   */
+  _tracer;
+
+  /**
+   * @param {OpenTelemetryTracerOpts} opts
+   */
+  constructor(opts = {}) {
+    const {tracerProvider = otel.trace.getTracerProvider()} = opts;
+    this._tracer = tracerProvider.getTracer(TRACER_NAME, version);
+  }
+
+  /**
+   * Start a span for a query
+   *
+   * @param {PgClientTracerQuery} query
+   *
+   * @returns {PgClientQuerySpan}
+   */
+  startQuerySpan(query) {
+    const {text, parameterCount, pgConfig = {}} = query;
+    const operation = getQueryOperation(text);
+
+    const attributes = {
+      'db.system': 'postgresql',
+      'db.statement': text,
+      'db.operation': operation,
+      'db.name': pgConfig.database,
+      'db.user': pgConfig.user,
+      'db.pg_enhanced.parameter_count': parameterCount,
+      'net.peer.name': pgConfig.host,
+      'net.peer.port': pgConfig.port,
+    };
+    for (const key in attributes) {
+      if (typeof attributes[key] === 'undefined') {
+        delete attributes[key];
+      }
+    }
+
+    const spanName = [operation, pgConfig.database].filter(Boolean).join(' ') || 'postgresql';
+    const span = this._tracer.startSpan(spanName, {kind: otel.SpanKind.CLIENT, attributes});
+
+    return {
+      end: (result = {}) => {
+        const {rowCount, error} = result;
+
+        if (typeof rowCount === 'number') {
+          span.setAttribute('db.response.returned_rows', rowCount);
+        }
+
+        if (error) {
+          span.recordException(error);
+          span.setStatus({code: otel.SpanStatusCode.ERROR, message: error.message});
+          if (error.sqlState) {
+            span.setAttribute('db.response.status_code', error.sqlState);
+          }
+        }
+
+        span.end();
+      },
+    };
+  }
+}
+
+module.exports = OpenTelemetryTracer;
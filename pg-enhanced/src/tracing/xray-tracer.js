@@ -0,0 +1,50 @@
+const awsXraySdk = require('aws-xray-sdk');
+
+/**
+ * @typedef XrayTracerOpts
+ * @property {awsXraySdk=} awsXray AWS Xray library to use for performing the capture
+ * @property {awsXraySdk.SegmentLike=} segment Segment to capture the `pg` client under. Nothing
+ *  is captured if this value is not provided
+ */
+
+/**
+ * Tracer that captures the internal `pg` client under an AWS Xray segment. Xray creates its own
+ * subsegments for every query, so this tracer does not create any query spans
+ */
+class XrayTracer {
+  /**
+   * @private
+   * AWS Xray library used to perform the capture
+   */
+  _awsXray;
+
+  /**
+   * @private
+   * @type {awsXraySdk.SegmentLike=}
+   * Segment the internal client is captured under
+   */
+  _segment;
+
+  /**
+   * @param {XrayTracerOpts} opts
+   */
+  constructor(opts = {}) {
+    const {awsXray = awsXraySdk, segment = null} = opts;
+
+    this._awsXray = awsXray;
+    this._segment = segment;
+  }
+
+  /**
+   * Capture the `pg` library under the segment, if there is one
+   *
+   * @param {import('pg')} pgLib
+   *
+   * @returns {import('pg')}
+   */
+  instrumentPg(pgLib) {
+    return this._segment ? this._awsXray.capturePostgres(pgLib, this._segment) : pgLib;
+  }
+}
+
+module.exports = XrayTracer;
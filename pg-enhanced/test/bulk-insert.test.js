@@ -0,0 +1,78 @@
+const PgClient = require('../index.js');
+
+const {UniqueViolationError} = PgClient.errors;
+
+describe('bulkInsert', () => {
+  const client = new PgClient();
+  const table = `bulk_insert_test_${process.pid}`;
+  const {escape} = client;
+
+  /**
+   * Create `count` rows with sequential ids, starting from 1
+   */
+  const createRows = (count) => Array.from({length: count}, (_, i) => ({id: i + 1, name: `voter ${i + 1}`}));
+
+  /**
+   * Get the ids in the test table, in order
+   */
+  const getIds = async () => {
+    const rows = await client.sql`SELECT "id" FROM ${escape.identifier(table)} ORDER BY "id"`;
+    return rows.map(row => row.id);
+  };
+
+  beforeAll(async () => {
+    await client.sql`
+      CREATE TABLE ${escape.identifier(table)} (
+        "id" INT PRIMARY KEY, "name" TEXT, "a" INT, "b" INT, "c" INT
+      )
+    `;
+  });
+
+  beforeEach(async () => {
+    await client.sql`TRUNCATE ${escape.identifier(table)}`;
+  });
+
+  afterAll(async () => {
+    await client.sql`DROP TABLE IF EXISTS ${escape.identifier(table)}`;
+    await client.end();
+  });
+
+  it('should insert every row in batches of the requested size', async () => {
+    const onProgress = jest.fn();
+    const returned = await client.bulkInsert(table, createRows(7), {batchSize: 3, returning: ['id'], onProgress});
+
+    expect(returned.map(row => row.id)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(await getIds()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+      {inserted: 3, total: 7},
+      {inserted: 6, total: 7},
+      {inserted: 7, total: 7},
+    ]);
+  });
+
+  it('should not run an empty batch when the rows fill the last batch exactly', async () => {
+    const onProgress = jest.fn();
+    await client.bulkInsert(table, createRows(6), {batchSize: 3, onProgress});
+
+    expect(await getIds()).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(onProgress.mock.calls.map(([progress]) => progress.inserted)).toEqual([3, 6]);
+  });
+
+  it('should split batches to stay under the bind parameter limit', async () => {
+    // 5 columns per row allows 13107 rows per statement
+    const rows = createRows(13108).map(row => ({...row, a: 1, b: 2, c: 3}));
+    const onProgress = jest.fn();
+    await client.bulkInsert(table, rows, {onProgress});
+
+    const [{count}] = await client.sql`SELECT count(*)::int AS "count" FROM ${escape.identifier(table)}`;
+    expect(count).toBe(13108);
+    expect(onProgress.mock.calls.map(([progress]) => progress.inserted)).toEqual([13107, 13108]);
+  });
+
+  it('should roll back earlier batches when a later batch fails', async () => {
+    const rows = [...createRows(4), {id: 2, name: 'duplicate'}];
+
+    await expect(client.bulkInsert(table, rows, {batchSize: 2})).rejects.toThrow(UniqueViolationError);
+    expect(await getIds()).toEqual([]);
+  });
+});
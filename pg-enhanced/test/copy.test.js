@@ -0,0 +1,96 @@
+const { Readable } = require('stream');
+
+const PgClient = require('../index.js');
+
+const {DBError} = PgClient.errors;
+
+describe('copy', () => {
+  const client = new PgClient();
+  const table = `copy_test_${process.pid}`;
+  const otherTable = `copy_other_test_${process.pid}`;
+  const {escape} = client;
+
+  const csv = 'id,name,note\n1,Ada,\n2,"Grace, H","likes ""quotes"""\n';
+
+  /**
+   * Read a stream to the end, combining its chunks into a single string
+   */
+  const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  };
+
+  /**
+   * Get every row in a table, ordered by id
+   */
+  const getRows = async (tableName) => {
+    return [...await client.sql`SELECT * FROM ${escape.identifier(tableName)} ORDER BY "id"`];
+  };
+
+  beforeAll(async () => {
+    for (const name of [table, otherTable]) {
+      await client.sql`
+        CREATE TABLE ${escape.identifier(name)} ("id" INT PRIMARY KEY, "name" TEXT NOT NULL, "note" TEXT)
+      `;
+    }
+  });
+
+  beforeEach(async () => {
+    await client.sql`TRUNCATE ${escape.identifier(table)}, ${escape.identifier(otherTable)}`;
+  });
+
+  afterAll(async () => {
+    await client.sql`DROP TABLE IF EXISTS ${escape.identifier(table)}, ${escape.identifier(otherTable)}`;
+    await client.end();
+  });
+
+  it('should copy CSV in and get the same CSV back out', async () => {
+    const {rowCount} = await client.copyFrom(table, Readable.from([csv]), {header: true});
+
+    expect(rowCount).toBe(2);
+    expect(await getRows(table)).toEqual([
+      {id: 1, name: 'Ada', note: null},
+      {id: 2, name: 'Grace, H', note: 'likes "quotes"'},
+    ]);
+    expect(await readAll(await client.copyTo(table, {header: true}))).toBe(csv);
+  });
+
+  it('should copy selected columns with a custom delimiter and null string', async () => {
+    const source = Readable.from(['1|Ada\n', '2|Grace\n']);
+    await client.copyFrom(table, source, {columns: ['id', 'name'], format: 'text', delimiter: '|'});
+
+    const output = await client.copyTo(table, {columns: ['id', 'note'], format: 'text', delimiter: '|', null: 'none'});
+    expect(await readAll(output)).toBe('1|none\n2|none\n');
+  });
+
+  it('should round trip rows between tables in the binary format', async () => {
+    await client.copyFrom(table, Readable.from([csv]), {header: true});
+
+    const output = await client.copyTo(table, {format: 'binary'});
+    await client.copyFrom(otherTable, output, {format: 'binary'});
+
+    expect(await getRows(otherTable)).toEqual(await getRows(table));
+  });
+
+  it('should reject with a DBError for bad data and leave the client usable', async () => {
+    const source = Readable.from(['1,Ada,\nnot a number,Grace,\n']);
+
+    const error = await client.copyFrom(table, source).catch(e => e);
+    expect(error).toBeInstanceOf(DBError);
+    expect(error.originalError.query).toMatch(/^COPY /);
+    expect(await getRows(table)).toEqual([]);
+  });
+
+  it('should free the client when the output is closed early', async () => {
+    await client.copyFrom(table, Readable.from([csv]), {header: true});
+
+    const output = await client.copyTo(table);
+    output.destroy();
+    await new Promise(resolve => output.on('close', resolve));
+
+    expect(await getRows(table)).toHaveLength(2);
+  });
+});
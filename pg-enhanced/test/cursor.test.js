@@ -0,0 +1,98 @@
+const PgClient = require('../index.js');
+
+const {DBError} = PgClient.errors;
+
+describe('cursor', () => {
+  const client = new PgClient();
+
+  afterAll(async () => {
+    await client.end();
+  });
+
+  /**
+   * Check that the client is free to run queries again, which is only the case once the cursor
+   * has been closed
+   */
+  const expectClientFree = async () => {
+    const [{ok}] = await client.sql`SELECT true AS "ok"`;
+    expect(ok).toBe(true);
+  };
+
+  it('should read every row across batches and close the cursor at the end', async () => {
+    const cursor = await client.cursorSql({batchSize: 3})`
+      SELECT i AS "number" FROM generate_series(1, 7) i
+    `;
+
+    const numbers = [];
+    for await (const row of cursor) {
+      numbers.push(row.number);
+    }
+
+    expect(numbers).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(cursor.state).toBe('done');
+    await expectClientFree();
+  });
+
+  it('should finish when the row count is an exact multiple of the batch size', async () => {
+    const cursor = await client.cursorSql({batchSize: 3})`
+      SELECT i AS "number" FROM generate_series(1, 6) i
+    `;
+
+    const numbers = [];
+    for await (const row of cursor) {
+      numbers.push(row.number);
+    }
+
+    expect(numbers).toEqual([1, 2, 3, 4, 5, 6]);
+    await expectClientFree();
+  });
+
+  it('should close the cursor when iteration stops early', async () => {
+    const cursor = await client.cursorSql({batchSize: 2})`
+      SELECT i AS "number" FROM generate_series(1, 100) i
+    `;
+
+    const numbers = [];
+    for await (const row of cursor) {
+      numbers.push(row.number);
+      if (numbers.length === 3) {
+        break;
+      }
+    }
+
+    expect(numbers).toEqual([1, 2, 3]);
+    expect(cursor.state).toBe('done');
+    await expectClientFree();
+  });
+
+  it('should close the cursor and reject with a DBError when a read fails', async () => {
+    const cursor = await client.cursorSql({batchSize: 2})`
+      SELECT 1 / (5 - i) AS "number" FROM generate_series(1, 10) i
+    `;
+
+    const numbers = [];
+    const iterate = async () => {
+      for await (const row of cursor) {
+        numbers.push(row.number);
+      }
+    };
+
+    await expect(iterate()).rejects.toThrow(DBError);
+    expect(numbers).toEqual([0, 0, 0, 1]);
+    await expectClientFree();
+  });
+
+  it('should stream every row and close the cursor at the end', async () => {
+    const cursor = await client.cursorSql`
+      SELECT i AS "number" FROM generate_series(1, 5) i
+    `;
+
+    const numbers = [];
+    for await (const row of cursor.stream({batchSize: 2})) {
+      numbers.push(row.number);
+    }
+
+    expect(numbers).toEqual([1, 2, 3, 4, 5]);
+    await expectClientFree();
+  });
+});
@@ -0,0 +1,129 @@
+const {DatabaseError} = require('pg');
+
+const PgClient = require('../index.js');
+const classifyDbError = require('../src/models/utils/classify-db-error.js');
+
+const errors = PgClient.errors;
+const {DBError} = errors;
+const codes = DBError.codes;
+
+/**
+ * Create an error the same way `pg` does for errors sent by the database, with the query and
+ * parameters attached the same way the client attaches them
+ */
+const createDatabaseError = (message, fields = {}) => {
+  const error = new DatabaseError(message, message.length, 'error');
+  return Object.assign(error, {
+    severity: 'ERROR', query: 'INSERT INTO "voters" ("id") VALUES ($1)', parameters: [1], ...fields,
+  });
+};
+
+describe('classifyDbError', () => {
+  it.each([
+    ['unique violation', {code: '23505', message: 'duplicate key value violates unique constraint "voters_pkey"'}, codes.UNIQUE_VIOLATION],
+    ['foreign key violation', {code: '23503', message: 'insert or update on table "votes" violates foreign key constraint "votes_voterId_fkey"'}, codes.FOREIGN_KEY_VIOLATION],
+    ['check violation', {code: '23514', message: 'new row for relation "voters" violates check constraint "age_check"'}, codes.CHECK_VIOLATION],
+    ['not-null violation', {code: '23502', message: 'null value in column "name" violates not-null constraint'}, codes.NOT_NULL_VIOLATION],
+    ['value too long', {code: '22001', message: 'value too long for type character varying(2)'}, codes.VALUE_TOO_LONG],
+    ['serialization failure', {code: '40001', message: 'could not serialize access due to concurrent update'}, codes.SERIALIZATION_FAILURE],
+    ['deadlock', {code: '40P01', message: 'deadlock detected'}, codes.DEADLOCK_DETECTED],
+    ['undefined table', {code: '42P01', message: 'relation "nope" does not exist'}, codes.UNDEFINED_TABLE],
+    ['undefined column', {code: '42703', message: 'column "nope" does not exist'}, codes.UNDEFINED_COLUMN],
+    ['too many connections', {code: '53300', message: 'sorry, too many clients already'}, codes.TOO_MANY_CONNECTIONS],
+    ['statement timeout', {code: '57014', message: 'canceling statement due to statement timeout'}, codes.STATEMENT_TIMEOUT],
+    ['user cancellation', {code: '57014', message: 'canceling statement due to user request'}, codes.QUERY_CANCELED],
+    ['server shutdown', {code: '57P01', message: 'terminating connection due to administrator command'}, codes.CONNECTION_FAILURE],
+    ['refused connection', {code: 'ECONNREFUSED', message: 'connect ECONNREFUSED 127.0.0.1:5432'}, codes.CONNECTION_FAILURE],
+    ['reset connection', {code: 'ECONNRESET', message: 'read ECONNRESET'}, codes.CONNECTION_FAILURE],
+    ['unknown SQLSTATE', {code: 'XX000', message: 'internal error'}, codes.UNKNOWN],
+  ])('should classify a %s by its code', (_, error, code) => {
+    expect(classifyDbError(error).code).toBe(code);
+  });
+
+  it.each([
+    ['sorry, too many clients already', codes.TOO_MANY_CONNECTIONS],
+    ['Query read timeout', codes.QUERY_TIMEOUT],
+    ['canceling statement due to statement timeout', codes.STATEMENT_TIMEOUT],
+    ['UNDEFINED_VALUE: Undefined values are not allowed', codes.UNDEFINED_VALUE],
+    ['duplicate key value violates unique constraint "voters_pkey"', codes.UNIQUE_VIOLATION],
+    ['update or delete on table "voters" violates foreign key constraint "votes_voterId_fkey"', codes.FOREIGN_KEY_VIOLATION],
+    ['null value in column "name" of relation "voters" violates not-null constraint', codes.NOT_NULL_VIOLATION],
+    ['relation "nope" does not exist', codes.UNDEFINED_TABLE],
+    ['Connection terminated unexpectedly', codes.CONNECTION_FAILURE],
+    ['timeout expired', codes.CONNECTION_FAILURE],
+    ['something else went wrong', codes.UNKNOWN],
+  ])('should classify "%s" by its message when there is no code', (message, code) => {
+    expect(classifyDbError(new Error(message)).code).toBe(code);
+  });
+
+  it('should only report five character codes with a digit as the SQLSTATE', () => {
+    expect(classifyDbError({code: '23505'}).sqlState).toBe('23505');
+    expect(classifyDbError({code: 'EPIPE'}).sqlState).toBeUndefined();
+    expect(classifyDbError(undefined)).toEqual(expect.objectContaining({code: codes.UNKNOWN, sqlState: undefined}));
+  });
+
+  it('should copy the table, column and constraint and parse key values from the detail', () => {
+    const error = {
+      code: '23505',
+      table: 'voters',
+      column: undefined,
+      constraint: 'voters_state_email_key',
+      detail: 'Key (state, email)=(WA, ada@example.com) already exists.',
+    };
+
+    expect(classifyDbError(error)).toEqual({
+      code: codes.UNIQUE_VIOLATION,
+      sqlState: '23505',
+      table: 'voters',
+      column: undefined,
+      constraint: 'voters_state_email_key',
+      keyValues: {state: 'WA', email: 'ada@example.com'},
+    });
+  });
+
+  it('should keep key values that contain commas together', () => {
+    const error = {code: '23505', detail: 'Key (id, name)=(1, Hopper, Grace) already exists.'};
+
+    expect(classifyDbError(error).keyValues).toEqual({'id, name': '1, Hopper, Grace'});
+  });
+});
+
+describe('DBError.from', () => {
+  it.each([
+    ['23505', 'duplicate key value violates unique constraint "voters_pkey"', 'UniqueViolationError', 409],
+    ['23503', 'insert or update on table "votes" violates foreign key constraint "fk"', 'ForeignKeyViolationError', 404],
+    ['23503', 'update or delete on table "voters" violates foreign key constraint "fk" on table "votes"', 'ForeignKeyViolationError', 409],
+    ['23514', 'new row for relation "voters" violates check constraint "age_check"', 'CheckViolationError', 422],
+    ['23502', 'null value in column "name" violates not-null constraint', 'NotNullViolationError', 422],
+    ['22001', 'value too long for type character varying(2)', 'ValueTooLongError', 422],
+    ['40001', 'could not serialize access due to concurrent update', 'SerializationFailureError', 409],
+    ['40P01', 'deadlock detected', 'SerializationFailureError', 409],
+    ['53300', 'sorry, too many clients already', 'TooManyConnectionsError', 429],
+    ['57014', 'canceling statement due to statement timeout', 'StatementTimeoutError', 429],
+    ['57014', 'canceling statement due to user request', 'QueryCanceledError', 408],
+    ['57P01', 'terminating connection due to administrator command', 'ConnectionError', 503],
+    ['42P01', 'relation "nope" does not exist', 'DBError', 400],
+  ])('should create the matching subclass for SQLSTATE %s (%s)', (code, message, type, statusCode) => {
+    const error = DBError.from(createDatabaseError(message, {code}));
+
+    expect(error).toBeInstanceOf(errors[type]);
+    expect(error).toBeInstanceOf(DBError);
+    expect(error.type).toBe(type);
+    expect(error.name).toBe(type);
+    expect(error.statusCode).toBe(statusCode);
+  });
+
+  it('should use the subclass name for errors without a SQLSTATE', () => {
+    const error = DBError.from(new Error('Query read timeout'));
+
+    expect(error).toBeInstanceOf(errors.QueryTimeoutError);
+    expect(error.name).toBe('QueryTimeoutError');
+    expect(String(error)).toMatch(/^QueryTimeoutError: /);
+  });
+
+  it('should return errors that are already a DBError as-is', () => {
+    const error = DBError.from(createDatabaseError('deadlock detected', {code: '40P01'}));
+
+    expect(DBError.from(error)).toBe(error);
+  });
+});
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+const PgClient = require('../index.js');
+
+const globalConfig = require('../config/global.config.js');
+const testConfig = require('../config/test.config.js');
+
+/**
+ * Wait for the database to accept connections, then bring it up to date with any migrations
+ * before the tests are run
+ */
+const jestSetup = async () => {
+  let client;
+  for (let attempt = 1; ; attempt++) {
+    client = new PgClient({}, {autoClose: false});
+    try {
+      await client.query('SELECT 1');
+      break;
+    } catch (e) {
+      await client.end().catch(() => {});
+      if (attempt >= testConfig.SETUP_RETRY_LIMIT) {
+        throw e;
+      }
+      await new Promise(resolve => setTimeout(resolve, testConfig.SETUP_WAIT_TIME_MS));
+    }
+  }
+
+  try {
+    if (fs.existsSync(path.resolve(globalConfig.PG_ENHANCED_MIGRATIONS_DIRECTORY))) {
+      await client.migrator().up();
+    }
+  } finally {
+    await client.end();
+  }
+};
+
+module.exports = jestSetup;
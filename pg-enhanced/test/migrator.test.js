@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PgClient = require('../index.js');
+
+const {MigrationError} = PgClient.errors;
+
+describe('migrator', () => {
+  const client = new PgClient();
+  const otherClient = new PgClient();
+  const tableName = `migrations_test_${process.pid}`;
+  const dataTable = `migrated_test_${process.pid}`;
+  const logger = {log: () => {}};
+  const {escape} = client;
+
+  let directory;
+  let migrator;
+
+  /**
+   * Write a migration file to the test migrations directory
+   */
+  const writeMigration = (fileName, contents) => {
+    fs.writeFileSync(path.join(directory, fileName), contents);
+  };
+
+  /**
+   * Get the names of the columns in the migrated table, in order. A separate connection is used,
+   * so that checking does not queue behind a migrator that is waiting for the lock
+   */
+  const getColumns = async () => {
+    const rows = await otherClient.sql`
+      SELECT "column_name" FROM information_schema.columns
+      WHERE "table_name"=${escape.parameter(dataTable)}
+      ORDER BY "ordinal_position"
+    `;
+    return rows.map(row => row.column_name);
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pg-enhanced-migrations-'));
+    migrator = client.migrator({directory, tableName, logger});
+
+    writeMigration('1_create.up.sql', `CREATE TABLE "${dataTable}" ("id" SERIAL PRIMARY KEY)`);
+    writeMigration('1_create.down.sql', `DROP TABLE "${dataTable}"`);
+    writeMigration('2_add_name.up.sql', `ALTER TABLE "${dataTable}" ADD COLUMN "name" TEXT`);
+    writeMigration('2_add_name.down.sql', `ALTER TABLE "${dataTable}" DROP COLUMN "name"`);
+  });
+
+  afterEach(async () => {
+    fs.rmSync(directory, {recursive: true, force: true});
+    await client.sql`DROP TABLE IF EXISTS ${escape.identifier(dataTable)}`;
+    await client.sql`DROP TABLE IF EXISTS ${escape.identifier(tableName)}`;
+  });
+
+  afterAll(async () => {
+    await client.end();
+    await otherClient.end();
+  });
+
+  it('should apply pending migrations in order and revert them newest first', async () => {
+    const applied = await migrator.up();
+    expect(applied.map(m => m.version)).toEqual(['1', '2']);
+    expect(await getColumns()).toEqual(['id', 'name']);
+    expect((await migrator.status()).map(s => s.state)).toEqual(['applied', 'applied']);
+
+    // Running again only applies migrations added since
+    writeMigration('3_add_age.up.sql', `ALTER TABLE "${dataTable}" ADD COLUMN "age" INT`);
+    writeMigration('3_add_age.down.sql', `ALTER TABLE "${dataTable}" DROP COLUMN "age"`);
+    expect((await migrator.up()).map(m => m.version)).toEqual(['3']);
+
+    const reverted = await migrator.down(2);
+    expect(reverted.map(m => m.version)).toEqual(['3', '2']);
+    expect(await getColumns()).toEqual(['id']);
+    expect((await migrator.status()).map(s => s.state)).toEqual(['applied', 'pending', 'pending']);
+  });
+
+  it('should roll back a migration that fails without recording it', async () => {
+    writeMigration('3_broken.up.sql', `ALTER TABLE "${dataTable}" ADD COLUMN "age" INT; SELECT 1/0`);
+
+    await expect(migrator.up()).rejects.toThrow('division by zero');
+
+    expect(await getColumns()).toEqual(['id', 'name']);
+    expect((await migrator.status()).map(s => s.state)).toEqual(['applied', 'applied', 'pending']);
+  });
+
+  it('should refuse to apply migrations when an applied up script has been modified', async () => {
+    await migrator.up();
+    writeMigration('2_add_name.up.sql', `ALTER TABLE "${dataTable}" ADD COLUMN "fullName" TEXT`);
+    writeMigration('3_add_age.up.sql', `ALTER TABLE "${dataTable}" ADD COLUMN "age" INT`);
+
+    expect((await migrator.status()).map(s => s.state)).toEqual(['applied', 'modified', 'pending']);
+    await expect(migrator.up()).rejects.toThrow(new MigrationError(
+      'Applied migrations have been modified: 2_add_name',
+    ));
+    expect(await getColumns()).toEqual(['id', 'name']);
+  });
+
+  it('should refuse to revert a migration when its down script has been modified', async () => {
+    await migrator.up();
+    writeMigration('2_add_name.down.sql', `DROP TABLE "${dataTable}"`);
+
+    expect((await migrator.status()).map(s => s.state)).toEqual(['applied', 'applied']);
+    await expect(migrator.down()).rejects.toThrow(new MigrationError(
+      'Cannot revert migration version 2, its down script has been modified',
+    ));
+    expect(await getColumns()).toEqual(['id', 'name']);
+  });
+
+  it('should keep applying and reverting migrations after a down script is added', async () => {
+    writeMigration('3_add_age.up.sql', `ALTER TABLE "${dataTable}" ADD COLUMN "age" INT`);
+    await migrator.up();
+
+    writeMigration('3_add_age.down.sql', `ALTER TABLE "${dataTable}" DROP COLUMN "age"`);
+    writeMigration('4_add_email.up.sql', `ALTER TABLE "${dataTable}" ADD COLUMN "email" TEXT`);
+    writeMigration('4_add_email.down.sql', `ALTER TABLE "${dataTable}" DROP COLUMN "email"`);
+
+    expect((await migrator.status()).map(s => s.state)).toEqual(['applied', 'applied', 'applied', 'pending']);
+    expect((await migrator.up()).map(m => m.version)).toEqual(['4']);
+    expect((await migrator.down(2)).map(m => m.version)).toEqual(['4', '3']);
+    expect(await getColumns()).toEqual(['id', 'name']);
+  });
+
+  it('should wait for the advisory lock before migrating', async () => {
+    const lockKey = otherClient.escape.parameter(tableName);
+    await otherClient.sql`SELECT pg_advisory_lock(hashtext(${lockKey}))`;
+
+    let finished = false;
+    const migrating = migrator.up().then((applied) => {
+      finished = true;
+      return applied;
+    });
+
+    // Give the migrator plenty of time to run if it was not waiting for the lock
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(finished).toBe(false);
+    expect(await getColumns()).toEqual([]);
+
+    await otherClient.sql`SELECT pg_advisory_unlock(hashtext(${lockKey}))`;
+    expect((await migrating).map(m => m.version)).toEqual(['1', '2']);
+    expect(await getColumns()).toEqual(['id', 'name']);
+  });
+
+  it('should release the advisory lock on a pooled connection after a failure', async () => {
+    const pool = PgClient.pool({max: 2}, {autoClose: false});
+    const poolMigrator = pool.migrator({directory, tableName, logger});
+    writeMigration('3_broken.up.sql', 'SELECT 1/0');
+
+    try {
+      await expect(poolMigrator.up()).rejects.toThrow('division by zero');
+      expect(pool._pgClient.totalCount).toBe(pool._pgClient.idleCount);
+
+      // Another connection can take the lock straight away
+      const lockKey = otherClient.escape.parameter(tableName);
+      const [{locked}] = await otherClient.sql`
+        SELECT pg_try_advisory_lock(hashtext(${lockKey})) AS "locked"
+      `;
+      expect(locked).toBe(true);
+      await otherClient.sql`SELECT pg_advisory_unlock(hashtext(${lockKey}))`;
+    } finally {
+      await pool.end();
+    }
+  });
+});
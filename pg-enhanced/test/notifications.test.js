@@ -0,0 +1,102 @@
+const PgClient = require('../index.js');
+
+describe('notifications', () => {
+  const listener = new PgClient();
+  const sender = new PgClient();
+  const channel = `notify_test_${process.pid}`;
+  const otherChannel = `notify_other_test_${process.pid}`;
+
+  /**
+   * Start listening to a channel for a single notification. Resolves once listening has started,
+   * with a `received` promise for the payload of the next notification
+   */
+  const listenOnce = async (client, channelName) => {
+    let resolvePayload;
+    const payload = new Promise((resolve) => {
+      resolvePayload = resolve;
+    });
+    const stopListening = await client.listen(channelName, resolvePayload);
+    return {received: payload.then(async (value) => {
+      await stopListening();
+      return value;
+    })};
+  };
+
+  /**
+   * Wait until every notification sent before now has been delivered to the listener, using the
+   * fact that notifications sent by one connection arrive in the order they were sent
+   */
+  const flushNotifications = async (client) => {
+    const {received} = await listenOnce(client, otherChannel);
+    await sender.notify(otherChannel);
+    await received;
+  };
+
+  afterAll(async () => {
+    await listener.end();
+    await sender.end();
+  });
+
+  it('should deliver JSON payloads to every handler on the channel', async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    const stopFirst = await listener.listen(channel, first);
+    const stopSecond = await listener.listen(channel, second);
+
+    await sender.notify(channel, {id: 1, tags: ['a']});
+    await flushNotifications(listener);
+
+    expect(first).toHaveBeenCalledWith({id: 1, tags: ['a']}, expect.objectContaining({channel}));
+    expect(second).toHaveBeenCalledWith({id: 1, tags: ['a']}, expect.objectContaining({channel}));
+
+    await stopFirst();
+    await stopSecond();
+  });
+
+  it('should pass raw payloads through when they are not JSON', async () => {
+    const handler = jest.fn();
+    await listener.listen(channel, handler);
+
+    await sender.sql`NOTIFY ${sender.escape.identifier(channel)}, 'not json'`;
+    await sender.sql`NOTIFY ${sender.escape.identifier(channel)}`;
+    await flushNotifications(listener);
+
+    expect(handler.mock.calls.map(([payload]) => payload)).toEqual(['not json', undefined]);
+    await listener.unlisten(channel);
+  });
+
+  it('should stop calling a handler once it is removed, and stop listening once none remain', async () => {
+    const removed = jest.fn();
+    const kept = jest.fn();
+    const stopRemoved = await listener.listen(channel, removed);
+    await listener.listen(channel, kept);
+
+    await stopRemoved();
+    await sender.notify(channel, 1);
+    await flushNotifications(listener);
+
+    expect(removed).not.toHaveBeenCalled();
+    expect(kept).toHaveBeenCalledTimes(1);
+
+    await listener.unlisten(channel);
+    const [{channels}] = await listener.sql`SELECT array(SELECT pg_listening_channels()) AS "channels"`;
+    expect(channels).not.toContain(channel);
+
+    await sender.notify(channel, 2);
+    await flushNotifications(listener);
+    expect(kept).toHaveBeenCalledTimes(1);
+  });
+
+  it('should deliver notifications to pools using a dedicated connection', async () => {
+    const pool = PgClient.pool({max: 2}, {autoClose: false});
+
+    try {
+      const {received} = await listenOnce(pool, channel);
+      await pool.notify(channel, {fromPool: true});
+
+      expect(await received).toEqual({fromPool: true});
+    } finally {
+      await pool.end();
+    }
+  });
+});
@@ -0,0 +1,65 @@
+const otel = require('@opentelemetry/api');
+const {
+  BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor,
+} = require('@opentelemetry/sdk-trace-base');
+
+const PgClient = require('../index.js');
+
+const createFakeClient = require('./utils/create-fake-client.js');
+
+const {OpenTelemetryTracer} = PgClient.tracers;
+
+describe('OpenTelemetryTracer', () => {
+  const exporter = new InMemorySpanExporter();
+  const tracerProvider = new BasicTracerProvider({
+    spanProcessors: [new SimpleSpanProcessor(exporter)],
+  });
+
+  /**
+   * Create a client traced by the in-memory exporter, whose connections are fakes
+   *
+   * @param {(queryConfig: object) => Promise<object>} query
+   */
+  const createTracedClient = (query) => {
+    return createFakeClient(query, {tracer: new OpenTelemetryTracer({tracerProvider})}, {database: 'whyivote'});
+  };
+
+  afterEach(() => {
+    exporter.reset();
+  });
+
+  it('should create a span for every query without including parameter values', async () => {
+    const client = createTracedClient(async () => ({rows: [{id: 1}], rowCount: 1, command: 'SELECT'}));
+
+    await client.sql`SELECT * FROM "voters" WHERE "email"=${client.escape.parameter('a@example.com')}`;
+
+    const [span] = exporter.getFinishedSpans();
+    expect(span.name).toBe('SELECT whyivote');
+    expect(span.kind).toBe(otel.SpanKind.CLIENT);
+    expect(span.attributes).toEqual(expect.objectContaining({
+      'db.system': 'postgresql',
+      'db.statement': 'SELECT * FROM "voters" WHERE "email"=$1',
+      'db.operation': 'SELECT',
+      'db.name': 'whyivote',
+      'db.response.returned_rows': 1,
+    }));
+    expect(JSON.stringify(span.attributes)).not.toContain('a@example.com');
+    expect(span.status.code).toBe(otel.SpanStatusCode.UNSET);
+  });
+
+  it('should set an error status when a query fails', async () => {
+    const client = createTracedClient(async () => {
+      const error = new Error('relation "voters" does not exist');
+      error.code = '42P01';
+      throw error;
+    });
+
+    await expect(client.query('DELETE FROM "voters"')).rejects.toThrow();
+
+    const [span] = exporter.getFinishedSpans();
+    expect(span.attributes['db.operation']).toBe('DELETE');
+    expect(span.attributes['db.response.status_code']).toBe('42P01');
+    expect(span.status).toEqual({code: otel.SpanStatusCode.ERROR, message: 'relation "voters" does not exist'});
+    expect(span.events[0].name).toBe('exception');
+  });
+});
@@ -0,0 +1,177 @@
+const PgClient = require('../index.js');
+
+const createFakeClient = require('./utils/create-fake-client.js');
+
+const {escape, fragment} = PgClient;
+const {InvalidPageTokenError, PgEnhancedError} = PgClient.errors;
+
+/**
+ * Get the text (with whitespace collapsed) and values of the last query sent by a fake client
+ *
+ * @param {PgClient} client
+ */
+const getLastQuery = (client) => {
+  const [{text, values}] = client._pgClient.query.mock.calls.at(-1);
+  return {text: text.replace(/\s+/g, ' ').trim(), values};
+};
+
+const base = fragment`SELECT * FROM "reasons" WHERE "voteId"=${escape.parameter(7)}`;
+
+describe('paginate', () => {
+  it('should return the first page and a token for the next one', async () => {
+    const client = createFakeClient([
+      {vote_id: 7, id: 3, _pgEnhancedPageKeys: ['2024-11-05 00:00:00.123456+00', '3']},
+      {vote_id: 7, id: 2, _pgEnhancedPageKeys: ['2024-11-05 00:00:00.123456+00', '2']},
+      {vote_id: 7, id: 1, _pgEnhancedPageKeys: ['2024-11-04 00:00:00+00', '1']},
+    ], {queryOpts: {keyCase: 'camel'}});
+
+    const {items, nextToken} = await client.paginate(base, {
+      orderBy: [{column: 'createdAt', direction: 'desc'}, {column: 'id', direction: 'DESC'}],
+      pageSize: 2,
+      secret: 'shh',
+    });
+
+    expect(items).toEqual([{voteId: 7, id: 3}, {voteId: 7, id: 2}]);
+    expect(typeof nextToken).toBe('string');
+    expect(getLastQuery(client)).toEqual({
+      text: 'SELECT "page".*, ARRAY["page"."createdAt"::text, "page"."id"::text] AS "_pgEnhancedPageKeys"' +
+        ' FROM (SELECT * FROM "reasons" WHERE "voteId"=$1) AS "page"' +
+        ' ORDER BY "page"."createdAt" DESC, "page"."id" DESC LIMIT $2',
+      values: [7, 3],
+    });
+
+    await client.paginate(base, {
+      orderBy: [{column: 'createdAt', direction: 'DESC'}, {column: 'id', direction: 'DESC'}],
+      pageSize: 2,
+      secret: 'shh',
+      token: nextToken,
+    });
+
+    expect(getLastQuery(client)).toEqual({
+      text: 'SELECT "page".*, ARRAY["page"."createdAt"::text, "page"."id"::text] AS "_pgEnhancedPageKeys"' +
+        ' FROM (SELECT * FROM "reasons" WHERE "voteId"=$1) AS "page"' +
+        ' WHERE ("page"."createdAt", "page"."id") < ($2, $3)' +
+        ' ORDER BY "page"."createdAt" DESC, "page"."id" DESC LIMIT $4',
+      values: [7, '2024-11-05 00:00:00.123456+00', '2', 3],
+    });
+  });
+
+  it('should not return a token on the last page', async () => {
+    const client = createFakeClient([{id: 1, _pgEnhancedPageKeys: ['1']}]);
+
+    const page = await client.paginate(base, {orderBy: ['id'], pageSize: 2, secret: 'shh'});
+
+    expect(page).toEqual({items: [{id: 1}], nextToken: null});
+  });
+
+  it('should compare each column on its own when directions are mixed', async () => {
+    const client = createFakeClient([
+      {id: 1, _pgEnhancedPageKeys: ['5', '1']},
+      {id: 2, _pgEnhancedPageKeys: ['5', '2']},
+    ], {config: {PG_ENHANCED_PAGE_TOKEN_SECRET: 'shh'}});
+    const {nextToken} = await client.paginate(base, {
+      orderBy: [{column: 'score', direction: 'DESC'}, 'id'], pageSize: 1,
+    });
+
+    await client.paginate(base, {
+      orderBy: [{column: 'score', direction: 'DESC'}, 'id'], pageSize: 1, token: nextToken,
+    });
+
+    const {text, values} = getLastQuery(client);
+    expect(text).toContain('WHERE (("page"."score" < $2) OR ("page"."score" = $3 AND "page"."id" > $4))');
+    expect(values).toEqual([7, '5', '5', '1', 2]);
+  });
+
+  it('should reject tokens that were tampered with or are for different columns', async () => {
+    const client = createFakeClient([
+      {id: 2, _pgEnhancedPageKeys: ['2']},
+      {id: 1, _pgEnhancedPageKeys: ['1']},
+    ]);
+    const {nextToken} = await client.paginate(base, {orderBy: ['id'], pageSize: 1, secret: 'shh'});
+    const [payload, signature] = nextToken.split('.');
+    const tamperedPayload = Buffer.from(JSON.stringify({c: ['id'], v: [100]})).toString('base64url');
+
+    await expect(client.paginate(base, {
+      orderBy: ['id'], secret: 'shh', token: `${tamperedPayload}.${signature}`,
+    })).rejects.toThrow(InvalidPageTokenError);
+    await expect(client.paginate(base, {
+      orderBy: ['id'], secret: 'shh', token: payload,
+    })).rejects.toThrow(InvalidPageTokenError);
+    await expect(client.paginate(base, {
+      orderBy: ['createdAt'], secret: 'shh', token: nextToken,
+    })).rejects.toThrow(InvalidPageTokenError);
+  });
+
+  it('should refuse to paginate without a secret to sign tokens with', async () => {
+    const client = createFakeClient([]);
+
+    await expect(client.paginate(base, {orderBy: ['id']})).rejects.toThrow(new PgEnhancedError(
+      'A secret is required to sign page tokens. Set PG_ENHANCED_PAGE_TOKEN_SECRET or provide the secret option',
+    ));
+    expect(client._pgClient.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('paginate against the database', () => {
+  const client = new PgClient({}, {config: {PG_ENHANCED_PAGE_TOKEN_SECRET: 'shh'}});
+  const table = `paginate_test_${process.pid}`;
+
+  /**
+   * Read every page of a query, returning the ids of the rows on each page. Stops after 10 pages,
+   * so that a token that keeps returning the same page fails instead of looping forever
+   */
+  const readAllPages = async (pageBase, opts) => {
+    const pages = [];
+    let token;
+    do {
+      const page = await client.paginate(pageBase, {...opts, token});
+      pages.push(page.items.map(item => item.id));
+      token = page.nextToken;
+    } while (token && pages.length < 10);
+    return pages;
+  };
+
+  beforeAll(async () => {
+    // Big ids and amounts are close enough together that they only differ past 2^53, and the
+    // timestamps only differ by microseconds
+    await client.sql`
+      CREATE TABLE ${escape.identifier(table)} (
+        "id" BIGINT PRIMARY KEY, "amount" NUMERIC NOT NULL, "createdAt" TIMESTAMPTZ NOT NULL
+      )
+    `;
+    await client.sql`
+      INSERT INTO ${escape.identifier(table)} ("id", "amount", "createdAt") VALUES
+        (9007199254740993, 10.000000000000000001, '2024-11-05 00:00:00.000001+00'),
+        (9007199254740994, 10.000000000000000002, '2024-11-05 00:00:00.000002+00'),
+        (9007199254740995, 10.000000000000000001, '2024-11-05 00:00:00.000002+00'),
+        (9007199254740996, 10.000000000000000002, '2024-11-05 00:00:00.000003+00')
+    `;
+  });
+
+  afterAll(async () => {
+    await client.sql`DROP TABLE IF EXISTS ${escape.identifier(table)}`;
+    await client.end();
+  });
+
+  it('should page through big integer keys without skipping or repeating rows', async () => {
+    const pageBase = fragment`SELECT "id"::text AS "id", "id" AS "sortId" FROM ${escape.identifier(table)}`;
+
+    expect(await readAllPages(pageBase, {orderBy: ['sortId'], pageSize: 1})).toEqual([
+      ['9007199254740993'], ['9007199254740994'], ['9007199254740995'], ['9007199254740996'],
+    ]);
+  });
+
+  it('should keep numeric and timestamp precision with mixed directions', async () => {
+    const pageBase = fragment`SELECT "id"::text AS "id", "amount", "createdAt", "id" AS "sortId" FROM ${escape.identifier(table)}`;
+
+    expect(await readAllPages(pageBase, {
+      orderBy: [{column: 'amount', direction: 'DESC'}, 'createdAt', 'sortId'], pageSize: 1,
+    })).toEqual([
+      ['9007199254740994'], ['9007199254740996'], ['9007199254740993'], ['9007199254740995'],
+    ]);
+
+    expect(await readAllPages(pageBase, {orderBy: ['createdAt', 'sortId'], pageSize: 3})).toEqual([
+      ['9007199254740993', '9007199254740994', '9007199254740995'], ['9007199254740996'],
+    ]);
+  });
+});
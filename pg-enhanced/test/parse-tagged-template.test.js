@@ -0,0 +1,415 @@
+const PgClient = require('../index.js');
+const parseTaggedTemplate = require('../src/sql/utils/parse-tagged-template.js');
+
+const {escape, fragment} = PgClient;
+const {MismatchedKeysError, PgEnhancedError} = PgClient.errors;
+
+describe('parseTaggedTemplate', () => {
+  describe('keysAndValues with mismatched keys', () => {
+    const rows = [
+      {id: 1, reason: 'taxes'},
+      {id: 2, reason: 'schools', tags: ['education']},
+      {id: 3},
+    ];
+
+    it('should throw a MismatchedKeysError naming the offending row by default', () => {
+      let error;
+      try {
+        parseTaggedTemplate`INSERT INTO "reasons" ${escape.keysAndValues(rows)}`;
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(MismatchedKeysError);
+      expect(error.rowIndex).toBe(1);
+      expect(error.missingKeys).toEqual([]);
+      expect(error.extraKeys).toEqual(['tags']);
+      expect(error.message).toContain('Row 1');
+    });
+
+    it('should name missing keys when a row has fewer keys than the first', () => {
+      const shortRows = [rows[0], rows[2]];
+
+      expect(() => {
+        parseTaggedTemplate`INSERT INTO "reasons" ${escape.keysAndValues(shortRows)}`;
+      }).toThrow(expect.objectContaining({rowIndex: 1, missingKeys: ['reason'], extraKeys: []}));
+    });
+
+    it('should use every key and fill in gaps with DEFAULT when requested', () => {
+      const keysAndValues = escape.keysAndValues(rows, {mismatchedKeys: 'default'});
+      const result = parseTaggedTemplate`INSERT INTO "reasons" ${keysAndValues}`;
+
+      expect(result.text).toBe(
+        'INSERT INTO "reasons" ("id","reason","tags") VALUES ($1,$2,DEFAULT),($3,$4,$5),($6,DEFAULT,DEFAULT)',
+      );
+      expect(result.values).toEqual([1, 'taxes', 2, 'schools', ['education'], 3]);
+    });
+
+    it('should render rows with matching keys the same in either mode', () => {
+      const matchingRows = [{id: 1, reason: 'taxes'}, {id: 2, reason: 'schools'}];
+      const expected = {
+        text: 'INSERT INTO "reasons" ("id","reason") VALUES ($1,$2),($3,$4)',
+        values: [1, 'taxes', 2, 'schools'],
+      };
+
+      expect(
+        parseTaggedTemplate`INSERT INTO "reasons" ${escape.keysAndValues(matchingRows)}`,
+      ).toEqual(expected);
+      expect(
+        parseTaggedTemplate`INSERT INTO "reasons" ${escape.keysAndValues(matchingRows, {mismatchedKeys: 'default'})}`,
+      ).toEqual(expected);
+    });
+  });
+
+  describe('sensitive values', () => {
+    it('should track the indexes of values wrapped with escape.sensitive', () => {
+      const result = parseTaggedTemplate`
+        SELECT * FROM "voters" WHERE "id"=${escape.parameter(1)} AND "ssn"=${escape.sensitive('123')}
+      `;
+
+      expect(result.values).toEqual([1, '123']);
+      expect(result.sensitiveIndexes).toEqual([1]);
+    });
+
+    it('should treat dictionary values under redacted keys as sensitive', () => {
+      const rows = [
+        {id: 1, voterEmail: 'a@example.com', ipHash: 'abc'},
+        {id: 2, voterEmail: 'b@example.com', ipHash: escape.sensitive('def')},
+      ];
+      const result = parseTaggedTemplate`INSERT INTO "voters" ${escape.keysAndValues(rows)}`;
+
+      expect(result.values).toEqual([1, 'a@example.com', 'abc', 2, 'b@example.com', 'def']);
+      expect(result.sensitiveIndexes).toEqual([1, 2, 4, 5]);
+    });
+
+    it('should not add sensitive indexes when nothing is sensitive', () => {
+      const result = parseTaggedTemplate`UPDATE "voters" SET ${escape.dictionary({name: 'Ada'})}`;
+
+      expect(result).toEqual({text: 'UPDATE "voters" SET "name"=$1', values: ['Ada']});
+    });
+  });
+
+  describe('fragments', () => {
+    it('should renumber fragment parameters to fit the surrounding query', () => {
+      const where = fragment`WHERE "state"=${escape.parameter('WA')} AND "age">${escape.parameter(18)}`;
+      const result = parseTaggedTemplate`
+        UPDATE "voters" SET "name"=${escape.parameter('Ada')} ${where} RETURNING "id"
+      `;
+
+      expect(result.text.trim()).toBe(
+        'UPDATE "voters" SET "name"=$1 WHERE "state"=$2 AND "age">$3 RETURNING "id"',
+      );
+      expect(result.values).toEqual(['Ada', 'WA', 18]);
+    });
+
+    it('should render nested fragments and keep track of sensitive values', () => {
+      const inner = fragment`"ssn"=${escape.sensitive('123')}`;
+      const outer = fragment`${escape.andDictionary({id: 1})} AND ${inner}`;
+      const result = parseTaggedTemplate`SELECT * FROM "voters" WHERE TRUE${outer}`;
+
+      expect(result).toEqual({
+        text: 'SELECT * FROM "voters" WHERE TRUE AND "id"=$1 AND "ssn"=$2',
+        values: [1, '123'],
+        sensitiveIndexes: [1],
+      });
+    });
+
+    it('should join fragments while leaving out empty ones', () => {
+      const state = undefined;
+      const conditions = fragment.join([
+        fragment`"id"=${escape.parameter(1)}`,
+        state ? fragment`"state"=${escape.parameter(state)}` : fragment.empty,
+        undefined,
+        fragment`"age">${escape.parameter(18)}`,
+      ], ' AND ');
+      const result = parseTaggedTemplate`SELECT * FROM "voters" WHERE ${conditions}`;
+
+      expect(result).toEqual({
+        text: 'SELECT * FROM "voters" WHERE "id"=$1 AND "age">$2',
+        values: [1, 18],
+      });
+    });
+
+    it('should render the empty fragment as nothing', () => {
+      const result = parseTaggedTemplate`SELECT * FROM "voters"${fragment.empty}`;
+      const joined = parseTaggedTemplate`SELECT * FROM "voters"${fragment.join([fragment.empty])}`;
+
+      expect(result).toEqual({text: 'SELECT * FROM "voters"', values: undefined});
+      expect(joined).toEqual(result);
+    });
+  });
+
+  describe('strict mode', () => {
+    it('should parameterize bare values instead of placing them into the query text', () => {
+      const reason = `taxes'; DROP TABLE "reasons"; --`;
+      const result = parseTaggedTemplate`
+        SELECT * FROM "reasons" WHERE "reason"=${reason} AND "count">${5} AND "deletedAt" IS NOT DISTINCT FROM ${null}
+      `;
+
+      expect(result.text.trim()).toBe(
+        'SELECT * FROM "reasons" WHERE "reason"=$1 AND "count">$2 AND "deletedAt" IS NOT DISTINCT FROM $3',
+      );
+      expect(result.values).toEqual([reason, 5, null]);
+    });
+
+    it('should send plain objects as jsonb and leave other values to pg', () => {
+      const date = new Date('2024-11-05T00:00:00Z');
+      const result = parseTaggedTemplate`
+        INSERT INTO "voters" ("meta", "tags", "createdAt") VALUES (${{state: 'WA'}}, ${['a']}, ${date})
+      `;
+
+      expect(result.text.trim()).toBe(
+        'INSERT INTO "voters" ("meta", "tags", "createdAt") VALUES ($1::jsonb, $2, $3)',
+      );
+      expect(result.values).toEqual(['{"state":"WA"}', ['a'], date]);
+    });
+
+    it('should only place raw values into the query text', () => {
+      const direction = 'DESC';
+      const result = parseTaggedTemplate`SELECT * FROM "voters" ORDER BY "id" ${escape.raw(direction)}`;
+
+      expect(result).toEqual({text: 'SELECT * FROM "voters" ORDER BY "id" DESC', values: undefined});
+    });
+
+    it('should throw on bare undefined values, including those in fragments', () => {
+      const id = undefined;
+
+      expect(() => parseTaggedTemplate`SELECT * FROM "voters" WHERE "id"=${id}`).toThrow(PgEnhancedError);
+      expect(() => parseTaggedTemplate`SELECT * FROM "voters" WHERE "id"=${id}`).toThrow(
+        'Undefined value interpolated into SQL template at position 0',
+      );
+      expect(() => parseTaggedTemplate`SELECT * FROM "voters" ${fragment`WHERE "id"=${id}`}`).toThrow(PgEnhancedError);
+
+      // Escape wrappers around undefined values are still left out, as are empty fragments
+      expect(parseTaggedTemplate`SELECT * FROM "voters"${escape.raw(undefined)}${fragment.empty}`).toEqual({
+        text: 'SELECT * FROM "voters"', values: undefined,
+      });
+    });
+
+    it('should place bare values into the query text when strict mode is off', () => {
+      const result = parseTaggedTemplate({strict: false})`SELECT ${1} AS "a", '${{b: 2}}' AS "b"${undefined}`;
+
+      expect(result).toEqual({text: `SELECT 1 AS "a", '{"b":2}' AS "b"`, values: undefined});
+    });
+  });
+
+  describe('lists, arrays and JSON', () => {
+    it('should render small lists as IN and empty or large lists as ANY', () => {
+      const ids = Array.from({length: 101}, (v, i) => i);
+
+      expect(parseTaggedTemplate`SELECT * FROM "voters" WHERE "id" ${escape.in([1, 2], 'int')}`).toEqual({
+        text: 'SELECT * FROM "voters" WHERE "id" IN ($1::int, $2::int)',
+        values: [1, 2],
+      });
+      expect(parseTaggedTemplate`SELECT * FROM "voters" WHERE "id" ${escape.in([], 'int')}`).toEqual({
+        text: 'SELECT * FROM "voters" WHERE "id" = ANY($1::int[])',
+        values: [[]],
+      });
+      expect(parseTaggedTemplate`SELECT * FROM "voters" WHERE "id" ${escape.in(ids)}`).toEqual({
+        text: 'SELECT * FROM "voters" WHERE "id" = ANY($1)',
+        values: [ids],
+      });
+    });
+
+    it('should render typed arrays as a single parameter with a cast', () => {
+      const result = parseTaggedTemplate`
+        SELECT unnest(${escape.typedArray(['a', escape.sensitive('b')], 'character varying(10)')})
+      `;
+
+      expect(result.text.trim()).toBe('SELECT unnest($1::character varying(10)[])');
+      expect(result.values).toEqual([['a', 'b']]);
+      expect(result.sensitiveIndexes).toEqual([0]);
+    });
+
+    it('should reject types that could inject SQL', () => {
+      expect(() => {
+        parseTaggedTemplate`SELECT ${escape.typedArray([], 'int[]); DROP TABLE "voters"; --')}`;
+      }).toThrow(PgEnhancedError);
+    });
+
+    it('should serialize JSON parameters with JSON.stringify', () => {
+      const result = parseTaggedTemplate`
+        SELECT ${escape.json([1, 2])}, ${escape.jsonb({state: 'WA'})}, ${escape.jsonb(null)}
+      `;
+
+      expect(result.text.trim()).toBe('SELECT $1::json, $2::jsonb, $3::jsonb');
+      expect(result.values).toEqual(['[1,2]', '{"state":"WA"}', null]);
+    });
+  });
+
+  describe('andDictionary operators', () => {
+    it('should render one condition for each operator', () => {
+      const result = parseTaggedTemplate`SELECT * FROM "voters" WHERE TRUE${escape.andDictionary({
+        state: 'WA',
+        age: {'>=': 18, '<': 65},
+        name: {ilike: 'a%'},
+        deletedAt: {'IS NULL': true},
+        verifiedAt: {'IS NULL': false},
+        reason: {IN: ['taxes', 'schools'], 'NOT IN': []},
+        party: {'=': undefined},
+      })}`;
+
+      expect(result).toEqual({
+        text: 'SELECT * FROM "voters" WHERE TRUE AND "state"=$1 AND "age" >= $2 AND "age" < $3' +
+          ' AND "name" ILIKE $4 AND "deletedAt" IS NULL AND "verifiedAt" IS NOT NULL' +
+          ' AND "reason" IN ($5, $6) AND "reason" <> ALL($7)',
+        values: ['WA', 18, 65, 'a%', 'taxes', 'schools', []],
+      });
+    });
+
+    it('should compare objects that are not keyed by operators for equality', () => {
+      const result = parseTaggedTemplate`SELECT * FROM "voters" WHERE TRUE${escape.andDictionary({
+        meta: {state: 'WA'},
+      })}`;
+
+      expect(result).toEqual({
+        text: 'SELECT * FROM "voters" WHERE TRUE AND "meta"=$1',
+        values: [{state: 'WA'}],
+      });
+    });
+  });
+
+  describe('upsert', () => {
+    const row = {id: 1, reason: 'taxes', votes: 3};
+
+    it('should update every column outside of the conflict target by default', () => {
+      const result = parseTaggedTemplate`INSERT INTO "reasons" ${escape.upsert(row, {conflictTarget: 'id'})}`;
+
+      expect(result).toEqual({
+        text: 'INSERT INTO "reasons" ("id","reason","votes") VALUES ($1,$2,$3)' +
+          ' ON CONFLICT ("id") DO UPDATE SET "reason"=EXCLUDED."reason", "votes"=EXCLUDED."votes"',
+        values: [1, 'taxes', 3],
+      });
+    });
+
+    it('should only update the listed columns of a multi-column conflict target', () => {
+      const opts = {conflictTarget: ['id', 'reason'], update: ['votes']};
+      const result = parseTaggedTemplate`INSERT INTO "reasons" ${escape.upsert(row, opts)}`;
+
+      expect(result.text).toBe(
+        'INSERT INTO "reasons" ("id","reason","votes") VALUES ($1,$2,$3)' +
+        ' ON CONFLICT ("id","reason") DO UPDATE SET "votes"=EXCLUDED."votes"',
+      );
+    });
+
+    it('should do nothing when asked to or when there are no columns left to update', () => {
+      const doNothing = parseTaggedTemplate`INSERT INTO "reasons" ${escape.upsert(row, {doNothing: true})}`;
+      const nothingToUpdate = parseTaggedTemplate`
+        INSERT INTO "reasons" ${escape.upsert({id: 1}, {conflictTarget: 'id'})}
+      `;
+
+      expect(doNothing.text).toBe(
+        'INSERT INTO "reasons" ("id","reason","votes") VALUES ($1,$2,$3) ON CONFLICT DO NOTHING',
+      );
+      expect(nothingToUpdate.text.trim()).toBe(
+        'INSERT INTO "reasons" ("id") VALUES ($1) ON CONFLICT ("id") DO NOTHING',
+      );
+    });
+
+    it('should require a conflict target to update conflicting rows', () => {
+      expect(() => parseTaggedTemplate`INSERT INTO "reasons" ${escape.upsert(row)}`).toThrow(
+        new PgEnhancedError('A conflict target is required to update conflicting rows in an upsert'),
+      );
+    });
+
+    it('should render a fragment condition with its parameters numbered after the rows', () => {
+      const where = fragment`"reasons"."votes" < EXCLUDED."votes" AND "reasons"."reason"<>${escape.parameter('x')}`;
+      const result = parseTaggedTemplate`
+        INSERT INTO "reasons" ${escape.upsert(row, {conflictTarget: 'id', where})} RETURNING ${escape.parameter(5)}
+      `;
+
+      expect(result.text.trim()).toBe(
+        'INSERT INTO "reasons" ("id","reason","votes") VALUES ($1,$2,$3)' +
+        ' ON CONFLICT ("id") DO UPDATE SET "reason"=EXCLUDED."reason", "votes"=EXCLUDED."votes"' +
+        ' WHERE "reasons"."votes" < EXCLUDED."votes" AND "reasons"."reason"<>$4 RETURNING $5',
+      );
+      expect(result.values).toEqual([1, 'taxes', 3, 'x', 5]);
+    });
+
+    it('should render a raw condition as-is', () => {
+      const where = escape.raw('"reasons"."votes" < EXCLUDED."votes"');
+      const result = parseTaggedTemplate`INSERT INTO "reasons" ${escape.upsert(row, {conflictTarget: 'id', where})}`;
+
+      expect(result.text).toMatch(/ WHERE "reasons"\."votes" < EXCLUDED\."votes"$/);
+    });
+
+    it('should reject a plain string condition', () => {
+      const where = '"reasons"."reason"=\'taxes\'';
+
+      expect(() => parseTaggedTemplate`INSERT INTO "reasons" ${escape.upsert(row, {conflictTarget: 'id', where})}`).toThrow(
+        new PgEnhancedError('The upsert `where` condition must be a `fragment` or an `escape.raw` value'),
+      );
+    });
+  });
+
+  describe('keysAndValuesWithExpiresIn', () => {
+    it('should number parameters after the ones that come before it', () => {
+      const row = {id: 1, reason: 'taxes', expiresIn: 3600, expiresAt: 'ignored'};
+      const result = parseTaggedTemplate`
+        WITH "v" AS (SELECT ${escape.parameter(5)}) INSERT INTO "reasons" ${escape.keysAndValuesWithExpiresIn(row)}
+      `;
+
+      expect(result.text.trim()).toBe(
+        'WITH "v" AS (SELECT $1) INSERT INTO "reasons" ("id", "reason", "expiresAt", "expiresAtEpoch")' +
+        ' VALUES ($2, $3, now() + $4::interval SECOND, FLOOR(EXTRACT(EPOCH FROM NOW())) + $5)',
+      );
+      expect(result.values).toEqual([5, 1, 'taxes', 3600, 3600]);
+    });
+
+    it('should render multiple rows with their own expiration', () => {
+      const rows = [
+        {id: 1, token: 'a', expiresIn: 60},
+        {id: 2, token: 'b', expiresAt: '2030-01-01', expiresAtEpoch: 1893456000},
+        {id: 3, token: 'c'},
+      ];
+      const result = parseTaggedTemplate`INSERT INTO "sessions" ${escape.keysAndValuesWithExpiresIn(rows)}`;
+
+      expect(result).toEqual({
+        text: 'INSERT INTO "sessions" ("id", "token", "expiresAt", "expiresAtEpoch") VALUES' +
+          ' ($1, $2, now() + $3::interval SECOND, FLOOR(EXTRACT(EPOCH FROM NOW())) + $4),' +
+          ' ($5, $6, $7, $8), ($9, $10, DEFAULT, DEFAULT)',
+        values: [1, 'a', 60, 60, 2, 'b', '2030-01-01', 1893456000, 3, 'c'],
+        sensitiveIndexes: [1, 5, 9],
+      });
+    });
+
+    it('should expire rows with an expiresIn of 0 right away', () => {
+      const rows = [
+        {id: 1, token: 'a', expiresIn: 0},
+        {id: 2, token: 'b'},
+        {id: 3, token: 'c', expiresIn: 60},
+      ];
+      const result = parseTaggedTemplate`INSERT INTO "sessions" ${escape.keysAndValuesWithExpiresIn(rows)}`;
+
+      expect(result.text).toBe(
+        'INSERT INTO "sessions" ("id", "token", "expiresAt", "expiresAtEpoch") VALUES' +
+        ' ($1, $2, now() + $3::interval SECOND, FLOOR(EXTRACT(EPOCH FROM NOW())) + $4),' +
+        ' ($5, $6, DEFAULT, DEFAULT),' +
+        ' ($7, $8, now() + $9::interval SECOND, FLOOR(EXTRACT(EPOCH FROM NOW())) + $10)',
+      );
+      expect(result.values).toEqual([1, 'a', 0, 0, 2, 'b', 3, 'c', 60, 60]);
+
+      const single = parseTaggedTemplate`INSERT INTO "sessions" ${escape.keysAndValuesWithExpiresIn({id: 1, expiresIn: 0})}`;
+      expect(single.text).toBe(
+        'INSERT INTO "sessions" ("id", "expiresAt", "expiresAtEpoch") VALUES' +
+        ' ($1, now() + $2::interval SECOND, FLOOR(EXTRACT(EPOCH FROM NOW())) + $3)',
+      );
+    });
+
+    it('should render rows without any expiration like keysAndValues', () => {
+      const result = parseTaggedTemplate`INSERT INTO "reasons" ${escape.keysAndValuesWithExpiresIn({id: 1})}`;
+
+      expect(result).toEqual({text: 'INSERT INTO "reasons" ("id") VALUES ($1)', values: [1]});
+    });
+
+    it('should filter out expired rows with notExpired', () => {
+      const result = parseTaggedTemplate`
+        SELECT * FROM "sessions" AS "s" WHERE ${escape.notExpired({table: 's'})} AND "id"=${escape.parameter(1)}
+      `;
+
+      expect(result.text.trim()).toBe(
+        'SELECT * FROM "sessions" AS "s" WHERE ("s"."expiresAt" IS NULL OR "s"."expiresAt" > now()) AND "id"=$1',
+      );
+    });
+  });
+});
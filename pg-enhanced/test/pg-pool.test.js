@@ -0,0 +1,131 @@
+const PgClient = require('../index.js');
+
+const {UniqueViolationError} = PgClient.errors;
+
+describe('pool', () => {
+  const pool = PgClient.pool({max: 3});
+  const table = `pool_test_${process.pid}`;
+  const {escape} = pool;
+
+  /**
+   * Get the number of rows in the test table, using whichever pooled connection is available
+   */
+  const countRows = async () => {
+    const [{count}] = await pool.sql`SELECT count(*)::int AS "count" FROM ${escape.identifier(table)}`;
+    return count;
+  };
+
+  beforeAll(async () => {
+    await pool.sql`CREATE TABLE ${escape.identifier(table)} ("id" SERIAL PRIMARY KEY)`;
+  });
+
+  afterAll(async () => {
+    await pool.sql`DROP TABLE IF EXISTS ${escape.identifier(table)}`;
+    await pool.end();
+  });
+
+  it('should run a transaction on one checked out connection and return it afterwards', async () => {
+    const backendIds = await pool.transaction(async (tx) => {
+      const [{pid: first}] = await tx.sql`SELECT pg_backend_pid() AS "pid"`;
+      await tx.sql`INSERT INTO ${escape.identifier(table)} DEFAULT VALUES`;
+      const [{pid: second}] = await tx.sql`SELECT pg_backend_pid() AS "pid"`;
+
+      expect(pool._pgClient.idleCount).toBeLessThan(pool._pgClient.totalCount);
+      return [first, second];
+    });
+
+    expect(backendIds[0]).toBe(backendIds[1]);
+    expect(pool._pgClient.idleCount).toBe(pool._pgClient.totalCount);
+  });
+
+  it('should hide uncommitted changes from other pooled connections', async () => {
+    const before = await countRows();
+
+    await pool.transaction(async (tx) => {
+      await tx.sql`INSERT INTO ${escape.identifier(table)} DEFAULT VALUES`;
+      expect(await countRows()).toBe(before);
+    });
+
+    expect(await countRows()).toBe(before + 1);
+  });
+
+  it('should reuse the connection of a transaction that was rolled back', async () => {
+    let failedPid;
+    let connectionCount;
+    const error = await pool.transaction(async (tx) => {
+      [{pid: failedPid}] = await tx.sql`SELECT pg_backend_pid() AS "pid"`;
+      connectionCount = pool._pgClient.totalCount;
+      await tx.sql`INSERT INTO ${escape.identifier(table)} ("id") VALUES (${1}), (${1})`;
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(UniqueViolationError);
+    expect(pool._pgClient.totalCount).toBe(connectionCount);
+    expect(pool._pgClient.idleCount).toBe(pool._pgClient.totalCount);
+
+    const pids = await Promise.all(Array.from({length: connectionCount}, async () => {
+      return pool.transaction(async (tx) => {
+        const [{pid, inTransaction}] = await tx.sql`
+          SELECT pg_backend_pid() AS "pid", now() = statement_timestamp() AS "inTransaction"
+        `;
+        expect(inTransaction).toBe(false);
+        return pid;
+      });
+    }));
+    expect(pids).toContain(failedPid);
+  });
+
+  it('should destroy the connection of a transaction that failed to roll back', async () => {
+    let failedPid;
+    let connectionCount;
+    const error = await pool.transaction(async (tx) => {
+      [{pid: failedPid}] = await tx.sql`SELECT pg_backend_pid() AS "pid"`;
+      connectionCount = pool._pgClient.totalCount;
+
+      const query = tx.query.bind(tx);
+      tx.query = async (text, ...rest) => {
+        if (text === 'ROLLBACK') {
+          throw new Error('rollback failed');
+        }
+        return query(text, ...rest);
+      };
+      throw new Error('oops');
+    }).catch(e => e);
+
+    expect(error.message).toBe('oops');
+    expect(pool._pgClient.totalCount).toBe(connectionCount - 1);
+
+    const [{pid}] = await pool.sql`SELECT pg_backend_pid() AS "pid"`;
+    expect(pid).not.toBe(failedPid);
+  });
+
+  it('should return the connection of a cursor once it is closed', async () => {
+    const cursor = await pool.cursorQuery('SELECT generate_series(1, 5) AS "n"');
+    expect(pool._pgClient.idleCount).toBeLessThan(pool._pgClient.totalCount);
+
+    const numbers = [];
+    for await (const row of cursor) {
+      numbers.push(row.n);
+    }
+
+    expect(numbers).toEqual([1, 2, 3, 4, 5]);
+    expect(pool._pgClient.idleCount).toBe(pool._pgClient.totalCount);
+  });
+});
+
+describe('pool with a default query timeout', () => {
+  const pool = PgClient.pool({max: 2}, {queryOpts: {timeoutMs: 5000}});
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  it('should apply the timeout to queries and transactions without applying it to itself', async () => {
+    const [{timeout}] = await pool.sql`SELECT current_setting('statement_timeout') AS "timeout"`;
+    const timeouts = await pool.transaction(async (tx) => {
+      return tx.sql`SELECT current_setting('statement_timeout') AS "timeout"`;
+    });
+
+    expect(timeout).toBe('5s');
+    expect([...timeouts]).toEqual([{timeout: '5s'}]);
+  });
+});
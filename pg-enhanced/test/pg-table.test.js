@@ -0,0 +1,199 @@
+const PgClient = require('../index.js');
+
+const createFakeClient = require('./utils/create-fake-client.js');
+
+const {PgEnhancedError, UnsafeFilterError} = PgClient.errors;
+
+/**
+ * Get the text (with whitespace collapsed) and values of every query sent by a fake client
+ *
+ * @param {PgClient} client
+ */
+const getQueries = (client) => client._pgClient.query.mock.calls.map(([{text, values}]) => {
+  return {text: text.replace(/\s+/g, ' ').trim(), values};
+});
+
+describe('table', () => {
+  it('should refuse to delete rows when the filter only has undefined values', async () => {
+    const client = createFakeClient();
+    const reasons = client.table('reasons');
+
+    const error = await reasons.delete({id: undefined}).catch(e => e);
+
+    expect(error).toBeInstanceOf(UnsafeFilterError);
+    expect(error).toBeInstanceOf(PgEnhancedError);
+    expect(error.operation).toBe('delete');
+    expect(error.table).toBe('reasons');
+    expect(client._pgClient.query).not.toHaveBeenCalled();
+
+    await expect(reasons.update({}, {reason: 'taxes'})).rejects.toThrow(UnsafeFilterError);
+    await expect(reasons.get({id: 1, voterId: ''})).rejects.toThrow(UnsafeFilterError);
+    expect(client._pgClient.query).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to run when every operator in the filter has an undefined operand', async () => {
+    const client = createFakeClient();
+    const reasons = client.table('reasons');
+
+    const deleteError = await reasons.delete({id: {'=': undefined}}).catch(e => e);
+    const updateError = await reasons.update({id: {IN: undefined, '>': undefined}}, {reason: 'taxes'}).catch(e => e);
+
+    expect(deleteError).toBeInstanceOf(UnsafeFilterError);
+    expect(deleteError.message).toMatch(/only has undefined values/);
+    expect(updateError).toBeInstanceOf(UnsafeFilterError);
+    expect(client._pgClient.query).not.toHaveBeenCalled();
+
+    // A single defined operand is enough to find a row
+    await reasons.get({id: {IN: [1, 2], '>': undefined}});
+    expect(getQueries(client)).toEqual([
+      {text: 'SELECT * FROM "reasons" WHERE TRUE AND "id" IN ($1, $2) LIMIT 1', values: [1, 2]},
+    ]);
+  });
+
+  it('should refuse to update or delete rows when any filter value or operand is undefined', async () => {
+    const client = createFakeClient();
+    const reasons = client.table('reasons');
+
+    const updateError = await reasons.update({id: 1, voterId: undefined}, {reason: 'taxes'}).catch(e => e);
+    const deleteError = await reasons.delete({id: {IN: [1, 2], '>': undefined}}).catch(e => e);
+
+    expect(updateError).toBeInstanceOf(UnsafeFilterError);
+    expect(updateError.message).toBe(
+      'Refusing to update rows in "reasons" because the filter has undefined values. Use {all: true} to update every row',
+    );
+    expect(deleteError).toBeInstanceOf(UnsafeFilterError);
+    expect(deleteError.operation).toBe('delete');
+    expect(client._pgClient.query).not.toHaveBeenCalled();
+
+    await reasons.get({id: 1, voterId: undefined});
+    expect(getQueries(client)).toEqual([
+      {text: 'SELECT * FROM "reasons" WHERE TRUE AND "id"=$1 LIMIT 1', values: [1]},
+    ]);
+  });
+
+  it('should refuse to run when any filter value is an empty string', async () => {
+    const client = createFakeClient();
+
+    await expect(client.table('reasons').delete({voterId: 5, id: ''})).rejects.toThrow(
+      /because the filter has empty string values/,
+    );
+    expect(client._pgClient.query).not.toHaveBeenCalled();
+  });
+
+  it('should affect every row when explicitly requested', async () => {
+    const client = createFakeClient();
+
+    await client.table('reasons').delete({id: undefined}, {all: true});
+
+    expect(getQueries(client)).toEqual([
+      {text: 'DELETE FROM "reasons" WHERE TRUE RETURNING *', values: undefined},
+    ]);
+  });
+
+  it('should update the matching rows, leaving undefined values as-is', async () => {
+    const client = createFakeClient([{id: 1, reason: 'schools'}]);
+
+    const rows = await client.table('reasons').update(
+      {id: 1},
+      {reason: 'schools', updatedBy: undefined},
+    );
+
+    expect([...rows]).toEqual([{id: 1, reason: 'schools'}]);
+    expect(getQueries(client)).toEqual([{
+      text: 'UPDATE "reasons" SET "reason"=$1 WHERE TRUE AND "id"=$2 RETURNING *',
+      values: ['schools', 1],
+    }]);
+  });
+
+  it('should build list, insert and count queries', async () => {
+    const client = createFakeClient([{id: 1, count: '2'}]);
+    const reasons = client.table('reasons');
+
+    await reasons.list({voterId: 5}, {orderBy: {createdAt: 'desc', id: 'ASC'}, limit: 10});
+    const inserted = await reasons.insert({reason: 'taxes'});
+    const count = await reasons.count({voterId: {'>': 1}});
+
+    expect(inserted).toEqual({id: 1, count: '2'});
+    expect(count).toBe(2);
+    expect(getQueries(client)).toEqual([
+      {
+        text: 'SELECT * FROM "reasons" WHERE TRUE AND "voterId"=$1 ORDER BY "createdAt" DESC, "id" ASC LIMIT $2',
+        values: [5, 10],
+      },
+      {text: 'INSERT INTO "reasons" ("reason") VALUES ($1) RETURNING *', values: ['taxes']},
+      {text: 'SELECT count(*) AS "count" FROM "reasons" WHERE TRUE AND "voterId" > $1', values: [1]},
+    ]);
+
+    await expect(reasons.list({}, {orderBy: {id: 'sideways'}})).rejects.toThrow(PgEnhancedError);
+  });
+});
+
+describe('table against the database', () => {
+  const client = new PgClient();
+  const tableName = `table_test_${process.pid}`;
+  const reasons = client.table(tableName);
+  const {escape} = client;
+
+  beforeAll(async () => {
+    await client.sql`
+      CREATE TABLE ${escape.identifier(tableName)} (
+        "id" SERIAL PRIMARY KEY, "voterId" INT NOT NULL, "reason" TEXT NOT NULL
+      )
+    `;
+  });
+
+  beforeEach(async () => {
+    await client.sql`TRUNCATE ${escape.identifier(tableName)} RESTART IDENTITY`;
+  });
+
+  afterAll(async () => {
+    await client.sql`DROP TABLE IF EXISTS ${escape.identifier(tableName)}`;
+    await client.end();
+  });
+
+  it('should insert, get, list and count rows', async () => {
+    const inserted = await reasons.insert({voterId: 1, reason: 'taxes'});
+    const insertedRows = await reasons.insert([
+      {voterId: 1, reason: 'schools'},
+      {voterId: 2, reason: 'roads'},
+    ]);
+
+    expect(inserted).toEqual({id: 1, voterId: 1, reason: 'taxes'});
+    expect(insertedRows.map(row => row.id)).toEqual([2, 3]);
+    expect(await reasons.get({id: 2})).toEqual({id: 2, voterId: 1, reason: 'schools'});
+    expect(await reasons.get({id: 99})).toBeUndefined();
+
+    const listed = await reasons.list({voterId: 1}, {orderBy: {id: 'DESC'}, limit: 1, offset: 1});
+    expect([...listed]).toEqual([{id: 1, voterId: 1, reason: 'taxes'}]);
+    expect(await reasons.count()).toBe(3);
+    expect(await reasons.count({voterId: {'>': 1}})).toBe(1);
+  });
+
+  it('should only update and delete the matching rows', async () => {
+    await reasons.insert([
+      {voterId: 1, reason: 'taxes'},
+      {voterId: 1, reason: 'schools'},
+      {voterId: 2, reason: 'roads'},
+    ]);
+
+    const updated = await reasons.update({voterId: 1, reason: {'<>': 'taxes'}}, {reason: 'parks'});
+    expect([...updated]).toEqual([{id: 2, voterId: 1, reason: 'parks'}]);
+
+    const deleted = await reasons.delete({id: {IN: [1, 3]}});
+    expect(deleted.map(row => row.id).sort()).toEqual([1, 3]);
+    expect([...await reasons.list()]).toEqual([{id: 2, voterId: 1, reason: 'parks'}]);
+  });
+
+  it('should leave every row in place when the filter is unsafe', async () => {
+    await reasons.insert([{voterId: 1, reason: 'taxes'}, {voterId: 2, reason: 'roads'}]);
+
+    await expect(reasons.delete({id: {'=': undefined}})).rejects.toThrow(UnsafeFilterError);
+    await expect(reasons.update({id: {IN: undefined}}, {reason: 'parks'})).rejects.toThrow(UnsafeFilterError);
+    await expect(reasons.delete({voterId: 1, reason: undefined})).rejects.toThrow(UnsafeFilterError);
+    expect(await reasons.count({reason: {'NOT IN': ['taxes', 'roads']}})).toBe(0);
+
+    const deleted = await reasons.delete({}, {all: true});
+    expect(deleted).toHaveLength(2);
+    expect(await reasons.count()).toBe(0);
+  });
+});
@@ -0,0 +1,112 @@
+const PgClient = require('../index.js');
+
+const createFakeClient = require('./utils/create-fake-client.js');
+
+const {PgEnhancedError} = PgClient.errors;
+
+/**
+ * Create a fake query that deletes the provided number of rows for each statement
+ *
+ * @param {number[]} rowCounts
+ */
+const answerWithRowCounts = (rowCounts) => async () => ({rows: [], rowCount: rowCounts.shift(), command: 'DELETE'});
+
+describe('purgeExpired', () => {
+  it('should delete expired rows in batches until a batch is not full', async () => {
+    const client = createFakeClient(answerWithRowCounts([2, 2, 1]));
+
+    const result = await client.purgeExpired('sessions', {batchSize: 2});
+
+    expect(result).toEqual({deleted: 5, batches: 3});
+    expect(client._pgClient.query).toHaveBeenCalledTimes(3);
+
+    const [{text, values}] = client._pgClient.query.mock.calls[0];
+    expect(text.replace(/\s+/g, ' ').trim()).toBe(
+      'DELETE FROM "sessions" WHERE ctid = ANY(ARRAY( SELECT ctid FROM "sessions"' +
+      ' WHERE "expiresAt" <= now() LIMIT $1 FOR UPDATE SKIP LOCKED ))',
+    );
+    expect(values).toEqual([2]);
+  });
+
+  it('should stop after one batch when nothing has expired', async () => {
+    const client = createFakeClient(answerWithRowCounts([0]));
+
+    expect(await client.purgeExpired('sessions')).toEqual({deleted: 0, batches: 1});
+  });
+
+  it('should reject invalid batch sizes', async () => {
+    const client = createFakeClient([]);
+
+    await expect(client.purgeExpired('sessions', {batchSize: 0})).rejects.toThrow(PgEnhancedError);
+    expect(client._pgClient.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('purgeExpired against the database', () => {
+  const client = new PgClient();
+  const table = `purge_expired_test_${process.pid}`;
+  const {escape} = client;
+
+  /**
+   * Get the ids left in the test table, in order
+   */
+  const getIds = async () => {
+    const rows = await client.sql`SELECT "id" FROM ${escape.identifier(table)} ORDER BY "id"`;
+    return rows.map(row => row.id);
+  };
+
+  beforeAll(async () => {
+    await client.sql`
+      CREATE TABLE ${escape.identifier(table)} (
+        "id" INT PRIMARY KEY, "expiresAt" TIMESTAMPTZ, "validUntil" TIMESTAMPTZ
+      )
+    `;
+  });
+
+  beforeEach(async () => {
+    // Ids 1-5 have expired, 6 expires in the future and 7 never expires. Only 6 and 7 are past
+    // their "validUntil"
+    await client.sql`TRUNCATE ${escape.identifier(table)}`;
+    await client.sql`
+      INSERT INTO ${escape.identifier(table)} ("id", "expiresAt", "validUntil")
+      SELECT i, now() - interval '1 minute', now() + interval '1 day' FROM generate_series(1, 5) i
+      UNION ALL SELECT 6, now() + interval '1 day', now() - interval '1 minute'
+      UNION ALL SELECT 7, NULL, now() - interval '1 minute'
+    `;
+  });
+
+  afterAll(async () => {
+    await client.sql`DROP TABLE IF EXISTS ${escape.identifier(table)}`;
+    await client.end();
+  });
+
+  it('should delete every expired row in batches and leave the rest', async () => {
+    expect(await client.purgeExpired(table, {batchSize: 2})).toEqual({deleted: 5, batches: 3});
+    expect(await getIds()).toEqual([6, 7]);
+
+    expect(await client.purgeExpired(table, {batchSize: 2})).toEqual({deleted: 0, batches: 1});
+  });
+
+  it('should use a custom expiration column', async () => {
+    expect(await client.purgeExpired(table, {column: 'validUntil'})).toEqual({deleted: 2, batches: 1});
+    expect(await getIds()).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('should skip rows that are locked by another transaction', async () => {
+    const lockingClient = new PgClient({}, {autoClose: false});
+
+    try {
+      await lockingClient.query('BEGIN');
+      await lockingClient.sql`SELECT * FROM ${escape.identifier(table)} WHERE "id"=3 FOR UPDATE`;
+
+      expect(await client.purgeExpired(table, {batchSize: 10})).toEqual({deleted: 4, batches: 1});
+      expect(await getIds()).toEqual([3, 6, 7]);
+
+      await lockingClient.query('COMMIT');
+      expect(await client.purgeExpired(table)).toEqual({deleted: 1, batches: 1});
+      expect(await getIds()).toEqual([6, 7]);
+    } finally {
+      await lockingClient.end();
+    }
+  });
+});
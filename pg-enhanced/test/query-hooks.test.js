@@ -0,0 +1,67 @@
+const PgClient = require('../index.js');
+
+const createFakeClient = require('./utils/create-fake-client.js');
+
+const {DBError} = PgClient.errors;
+
+describe('query hooks', () => {
+  it('should call client hooks before and after a query without exposing parameter values', async () => {
+    const events = [];
+    const client = createFakeClient(async () => ({rows: [{id: 1}], rowCount: 1, command: 'SELECT'}), {
+      hooks: {
+        beforeQuery: (event) => events.push(['before', event]),
+        afterQuery: (event) => events.push(['after', event]),
+      },
+    });
+
+    await client.sql`SELECT * FROM "voters" WHERE "id"=${client.escape.parameter(1)}`;
+
+    expect(events).toEqual([
+      ['before', {text: 'SELECT * FROM "voters" WHERE "id"=$1', parameterCount: 1}],
+      ['after', expect.objectContaining({
+        text: 'SELECT * FROM "voters" WHERE "id"=$1',
+        parameterCount: 1,
+        durationMs: expect.any(Number),
+        slow: false,
+        rowCount: 1,
+        command: 'SELECT',
+      })],
+    ]);
+  });
+
+  it('should call global hooks and onError when a query fails', async () => {
+    const onError = jest.fn();
+    const removeHooks = PgClient.addHooks({onError});
+    const client = createFakeClient(async () => {
+      throw new Error('connection terminated');
+    });
+
+    try {
+      await expect(client.query('SELECT 1')).rejects.toThrow(DBError);
+    } finally {
+      removeHooks();
+    }
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].error).toBeInstanceOf(DBError);
+    expect(PgClient._hooks).toEqual([]);
+  });
+
+  it('should flag slow queries and not fail queries when a hook throws', async () => {
+    const afterQuery = jest.fn();
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const client = createFakeClient(async () => ({rows: [], rowCount: 0, command: 'UPDATE'}), {
+      slowQueryMs: 0,
+      hooks: [{beforeQuery: () => { throw new Error('oops'); }}, {afterQuery}],
+    });
+
+    try {
+      await client.query('UPDATE "voters" SET "name"=NULL');
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('query-hook-error'));
+    } finally {
+      consoleError.mockRestore();
+    }
+
+    expect(afterQuery).toHaveBeenCalledWith(expect.objectContaining({slow: true, command: 'UPDATE'}));
+  });
+});
@@ -0,0 +1,98 @@
+const PgClient = require('../index.js');
+
+const createFakeClient = require('./utils/create-fake-client.js');
+
+const {QueryCanceledError, StatementTimeoutError} = PgClient.errors;
+
+describe('query limits', () => {
+  it('should not send the query if the signal has already been aborted', async () => {
+    const client = createFakeClient(async () => ({rows: [], rowCount: 0}));
+    const controller = new AbortController();
+    controller.abort();
+
+    const error = await client.query('SELECT 1', undefined, {signal: controller.signal}).catch(e => e);
+
+    expect(error).toBeInstanceOf(QueryCanceledError);
+    expect(error.statusCode).toBe(408);
+    expect(client._pgClient.query).not.toHaveBeenCalled();
+  });
+
+  it('should set a local statement timeout in a transaction around the query', async () => {
+    const client = createFakeClient(async ({text}) => {
+      if (/statement_timeout/.test(text)) {
+        return {rows: [{previousTimeout: '0'}], rowCount: 1};
+      }
+      return {rows: [{id: 1}], rowCount: 1};
+    });
+
+    const results = await client.query('SELECT * FROM "voters"', undefined, {timeoutMs: 250});
+
+    expect([...results]).toEqual([{id: 1}]);
+    const queries = client._pgClient.query.mock.calls.map(([{text, values}]) => [text.trim(), values]);
+    expect(queries[0][0]).toBe('BEGIN');
+    expect(queries[1][0]).toMatch(/set_config\('statement_timeout', \$1, true\)/);
+    expect(queries[1][1]).toEqual(['250']);
+    expect(queries[2][0]).toBe('SELECT * FROM "voters"');
+    expect(queries[3][0]).toBe('COMMIT');
+  });
+
+  it('should send control statements without the default timeout of the client', async () => {
+    const client = createFakeClient(async ({text}) => {
+      if (/statement_timeout/.test(text)) {
+        return {rows: [{previousTimeout: '0'}], rowCount: 1};
+      }
+      return {rows: [{id: 1}], rowCount: 1};
+    }, {queryOpts: {timeoutMs: 250}});
+
+    // Fail instead of recursing forever if the limits are applied to the statements they send
+    const queryWithLimits = client._queryWithLimits;
+    client._queryWithLimits = jest.fn(function (...args) {
+      if (client._queryWithLimits.mock.calls.length > 5) {
+        throw new Error('Query limits were applied recursively');
+      }
+      return queryWithLimits.apply(this, args);
+    });
+
+    await client.query('SELECT * FROM "voters"');
+    await client.transaction(tx => tx.query('DELETE FROM "voters"'));
+
+    expect(client._queryWithLimits).toHaveBeenCalledTimes(2);
+
+    const queries = client._pgClient.query.mock.calls.map(([{text}]) => text.trim().split(/\s+/)[0]);
+    expect(queries).toEqual([
+      'BEGIN', 'SELECT', 'SELECT', 'COMMIT',
+      'BEGIN', 'SAVEPOINT', 'SELECT', 'DELETE', 'SELECT', 'RELEASE', 'COMMIT',
+    ]);
+  });
+
+  it('should cancel the running statement when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const client = createFakeClient(async () => {
+      controller.abort();
+      const error = new Error('canceling statement due to user request');
+      error.code = '57014';
+      throw error;
+    });
+    client._cancelBackend = jest.fn(async () => {});
+
+    const error = await client.query('SELECT pg_sleep(10)', undefined, {
+      signal: controller.signal,
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(QueryCanceledError);
+    expect(client._cancelBackend).toHaveBeenCalledWith(1234);
+  });
+
+  it('should classify statement timeouts separately from cancellations', async () => {
+    const client = createFakeClient(async () => {
+      const error = new Error('canceling statement due to statement timeout');
+      error.code = '57014';
+      throw error;
+    });
+
+    const error = await client.query('SELECT pg_sleep(10)').catch(e => e);
+
+    expect(error).toBeInstanceOf(StatementTimeoutError);
+    expect(error.statusCode).toBe(429);
+  });
+});
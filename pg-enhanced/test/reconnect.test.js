@@ -0,0 +1,96 @@
+const PgClient = require('../index.js');
+
+const createFakePgClient = require('./utils/create-fake-pg-client.js');
+
+const {ConnectionError} = PgClient.errors;
+
+describe('reconnecting', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = new PgClient();
+    client._createPgClient = () => createFakePgClient();
+    client._pgClient = createFakePgClient();
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    await client.end();
+  });
+
+  it('should replace the internal client when its connection ends unexpectedly', async () => {
+    const droppedPgClient = client._pgClient;
+
+    droppedPgClient.emit('end');
+
+    expect(client._hasConnected).toBe(false);
+    expect(client._pgClient).not.toBe(droppedPgClient);
+    expect(PgClient._openClients).not.toContain(client);
+  });
+
+  it('should reconnect on the next query', async () => {
+    const droppedPgClient = client._pgClient;
+    droppedPgClient.emit('error', new Error('Connection terminated unexpectedly'));
+    droppedPgClient.emit('end');
+
+    await client.query('SELECT 1');
+
+    expect(client._pgClient).not.toBe(droppedPgClient);
+    expect(client._pgClient.connect).toHaveBeenCalledTimes(1);
+    expect(client._pgClient.query).toHaveBeenCalledTimes(1);
+    expect(droppedPgClient.query).not.toHaveBeenCalled();
+    expect(PgClient._openClients.filter(c => c === client)).toHaveLength(1);
+  });
+
+  it('should fail a transaction instead of reconnecting when its connection drops', async () => {
+    const droppedPgClient = client._pgClient;
+
+    const error = await client.transaction(async (tx) => {
+      await tx.query('SELECT 1');
+
+      droppedPgClient.emit('error', new Error('Connection terminated unexpectedly'));
+      droppedPgClient.emit('end');
+      droppedPgClient.query.mockRejectedValue(new Error('Client was closed and is not queryable'));
+
+      await tx.query('INSERT INTO "votes" DEFAULT VALUES');
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ConnectionError);
+
+    // BEGIN, SELECT, INSERT and ROLLBACK were all sent to the dropped connection
+    expect(droppedPgClient.query).toHaveBeenCalledTimes(4);
+
+    // The connection is only replaced once the transaction is over
+    expect(client._pgClient).not.toBe(droppedPgClient);
+    expect(client._pgClient.connect).not.toHaveBeenCalled();
+    await client.query('SELECT 1');
+    expect(client._pgClient.connect).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not retry or replace a connection adopted from a pool', async () => {
+    const poolClient = createFakePgClient(async ({text}) => {
+      if (text === 'BEGIN' || text === 'ROLLBACK') {
+        return {rows: [], rowCount: 0, command: text};
+      }
+      throw Object.assign(new Error('read ECONNRESET'), {code: 'ECONNRESET'});
+    });
+    const checkout = new PgClient({}, {autoClose: false, pgClient: poolClient, retry: {baseDelayMs: 0}});
+
+    await expect(checkout.query('SELECT 1')).rejects.toThrow(ConnectionError);
+    await expect(checkout.transaction(tx => tx.query('SELECT 1'))).rejects.toThrow(ConnectionError);
+
+    // Two attempts at SELECT, along with BEGIN and ROLLBACK
+    expect(poolClient.query).toHaveBeenCalledTimes(4);
+    expect(checkout._pgClient).toBe(poolClient);
+  });
+
+  it('should ignore the connection ending when the client is ended on purpose', async () => {
+    const pgClient = client._pgClient;
+
+    await client.end();
+    pgClient.emit('end');
+
+    expect(client._pgClient).toBe(pgClient);
+    expect(client.hasClosed).toBe(true);
+  });
+});
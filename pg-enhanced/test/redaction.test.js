@@ -0,0 +1,187 @@
+const { inspect } = require('util');
+
+const PgClient = require('../index.js');
+const isSensitiveKey = require('../src/sql/utils/is-sensitive-key.js');
+const redactError = require('../src/models/utils/redact-error.js');
+const redactValues = require('../src/sql/utils/redact-values.js');
+
+const createFakeClient = require('./utils/create-fake-client.js');
+
+const {escape} = PgClient;
+const {DBError, UniqueViolationError} = PgClient.errors;
+
+const placeholder = '[REDACTED]';
+const config = {PG_ENHANCED_REDACTED_PLACEHOLDER: placeholder, PG_ENHANCED_REDACTED_KEYS: '/email/,ssn'};
+
+/**
+ * Everything that would be shown if an error was logged, including the original error and the
+ * stack traces of both
+ */
+const inspectError = (error) => inspect(error, {depth: 5});
+
+describe('isSensitiveKey', () => {
+  it('should match column names exactly and patterns anywhere, ignoring case', () => {
+    expect(isSensitiveKey('ssn', 'ssn,/email/')).toBe(true);
+    expect(isSensitiveKey('SSN', 'ssn,/email/')).toBe(true);
+    expect(isSensitiveKey('ssnLastFour', 'ssn,/email/')).toBe(false);
+    expect(isSensitiveKey('voterEmail', 'ssn,/email/')).toBe(true);
+    expect(isSensitiveKey('name', 'ssn,/email/')).toBe(false);
+    expect(isSensitiveKey('name', '')).toBe(false);
+  });
+});
+
+describe('redactValues', () => {
+  it('should replace sensitive values without changing the original values', () => {
+    const values = [1, 'hunter2', 'ada@example.com'];
+
+    expect(redactValues(values, [1, 2], config)).toEqual([1, placeholder, placeholder]);
+    expect(values).toEqual([1, 'hunter2', 'ada@example.com']);
+  });
+
+  it('should return the values as-is when none are sensitive', () => {
+    const values = [1, 'public'];
+
+    expect(redactValues(values, [], config)).toBe(values);
+    expect(redactValues(undefined, [0], config)).toBeUndefined();
+  });
+});
+
+describe('redactError', () => {
+  it('should redact sensitive values from the message, stack and parameters', () => {
+    const error = new Error('invalid input syntax for type integer: "hunter2"');
+    redactError(error, [1, 'hunter2'], [1], config);
+
+    expect(error.message).toBe(`invalid input syntax for type integer: "${placeholder}"`);
+    expect(error.stack).not.toContain('hunter2');
+    expect(error.parameters).toEqual([1, placeholder]);
+  });
+
+  it('should redact whole sensitive values from the detail without touching other values', () => {
+    const error = Object.assign(new Error('violates check constraint'), {
+      detail: 'Failing row contains (12, 1, "12 Main St", 2024-11-05T00:00:00.000Z).',
+    });
+    redactError(error, [12, 1, new Date('2024-11-05T00:00:00Z')], [1, 2], config);
+
+    expect(error.detail).toBe(`Failing row contains (12, ${placeholder}, "12 Main St", ${placeholder}).`);
+  });
+
+  it('should redact the values of sensitive key columns even when they were not marked sensitive', () => {
+    const error = Object.assign(new Error('duplicate key value violates unique constraint'), {
+      code: '23505',
+      detail: 'Key (state, voter_email)=(WA, ada@example.com) already exists.',
+    });
+    redactError(error, ['WA', 'ada@example.com'], [], config);
+
+    expect(error.detail).toBe(`Key (state, voter_email)=(WA, ${placeholder}) already exists.`);
+    expect(DBError.from(error).keyValues).toEqual({state: 'WA', voter_email: placeholder});
+  });
+
+  it('should redact every key value when values with commas make them ambiguous', () => {
+    const error = Object.assign(new Error('duplicate key value violates unique constraint'), {
+      detail: 'Key (name, email)=(Hopper, Grace, grace@example.com) already exists.',
+    });
+    redactError(error, [], [], config);
+
+    expect(error.detail).toBe(`Key (name, email)=(${placeholder}) already exists.`);
+  });
+});
+
+describe('redaction in queries', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should redact sensitive values from logged SQL and result parameters', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const client = createFakeClient(async () => ({rows: [{id: 1}], rowCount: 1}), {
+      config: {PG_ENHANCED_LOG_SQL: true},
+    });
+
+    const results = await client.sql`
+      SELECT * FROM "voters" WHERE "id"=${escape.parameter(1)} AND "ssn"=${escape.sensitive('123-45-6789')}
+    `;
+    const rawResults = await client.query('SELECT $1::text', [escape.sensitive('hunter2')]);
+
+    expect(results.parameters).toEqual([1, placeholder]);
+    expect(rawResults.parameters).toEqual([placeholder]);
+    expect(log).toHaveBeenCalledTimes(2);
+    const logged = log.mock.calls.join('\n');
+    expect(logged).toContain(placeholder);
+    expect(logged).not.toContain('123-45-6789');
+    expect(logged).not.toContain('hunter2');
+  });
+
+  it('should redact sensitive values from errors of failed cursors', async () => {
+    const client = createFakeClient(async () => {
+      throw new Error('invalid input syntax for type integer: "hunter2"');
+    });
+
+    const error = await client.cursorSql`SELECT ${escape.sensitive('hunter2')}::int`.catch(e => e);
+
+    expect(error).toBeInstanceOf(DBError);
+    expect(error.originalError.parameters).toEqual([placeholder]);
+    expect(inspectError(error)).not.toContain('hunter2');
+  });
+});
+
+describe('redaction against the database', () => {
+  const client = new PgClient();
+  const table = `redaction_test_${process.pid}`;
+
+  beforeAll(async () => {
+    await client.sql`
+      CREATE TABLE ${escape.identifier(table)} (
+        "id" INT PRIMARY KEY,
+        "email" TEXT UNIQUE,
+        "pin" TEXT CHECK (length("pin") = 4)
+      )
+    `;
+    await client.sql`INSERT INTO ${escape.identifier(table)} ${escape.keysAndValues({id: 1, email: 'ada@example.com'})}`;
+  });
+
+  afterAll(async () => {
+    await client.sql`DROP TABLE IF EXISTS ${escape.identifier(table)}`;
+    await client.end();
+  });
+
+  it('should redact values under sensitive keys from unique violations', async () => {
+    const error = await client.sql`
+      INSERT INTO ${escape.identifier(table)} ${escape.keysAndValues({id: 2, email: 'ada@example.com'})}
+    `.catch(e => e);
+
+    expect(error).toBeInstanceOf(UniqueViolationError);
+    expect(error.keyValues).toEqual({email: placeholder});
+    expect(error.originalError.parameters).toEqual([2, placeholder]);
+    expect(inspectError(error)).not.toContain('ada@example.com');
+  });
+
+  it('should redact sensitive values from failing rows', async () => {
+    const error = await client.sql`
+      INSERT INTO ${escape.identifier(table)} ${escape.keysAndValues({id: 2, pin: escape.sensitive('98765')})}
+    `.catch(e => e);
+
+    expect(error).toBeInstanceOf(DBError);
+    expect(error.originalError.detail).toContain(placeholder);
+    expect(inspectError(error)).not.toContain('98765');
+  });
+
+  it('should redact sensitive values from error messages', async () => {
+    const error = await client.sql`SELECT ${escape.sensitive('hunter2')}::int`.catch(e => e);
+
+    expect(error).toBeInstanceOf(DBError);
+    expect(error.message).toContain(placeholder);
+    expect(inspectError(error)).not.toContain('hunter2');
+  });
+
+  it('should redact sensitive values from errors read from cursors', async () => {
+    const cursor = await client.cursorSql`
+      SELECT ${escape.sensitive('hunter2')}::int FROM generate_series(1, 3)
+    `;
+
+    const error = await cursor.read(3).catch(e => e);
+    await cursor.close();
+
+    expect(error).toBeInstanceOf(DBError);
+    expect(inspectError(error)).not.toContain('hunter2');
+  });
+});
@@ -0,0 +1,115 @@
+const PgClient = require('../index.js');
+
+const createFakeClient = require('./utils/create-fake-client.js');
+const createFakePgClient = require('./utils/create-fake-pg-client.js');
+
+const {ConnectionError, QueryTimeoutError} = PgClient.errors;
+
+/**
+ * Create an error like the one `pg` emits when a query takes too long
+ */
+const createTimeoutError = () => new Error('Query read timeout');
+
+describe('retries', () => {
+  it('should retry idempotent queries that fail with a retryable error', async () => {
+    let calls = 0;
+    const client = createFakeClient(async () => {
+      calls++;
+      if (calls < 3) {
+        throw createTimeoutError();
+      }
+      return {rows: [{id: 1}], rowCount: 1, command: 'SELECT'};
+    });
+
+    const results = await client.query('SELECT * FROM "voters"');
+
+    expect([...results]).toEqual([{id: 1}]);
+    expect(calls).toBe(3);
+  });
+
+  it('should record the number of attempts on the final error', async () => {
+    const client = createFakeClient(async () => {
+      throw createTimeoutError();
+    }, {retry: {maxAttempts: 2}});
+
+    const error = await client.query('SELECT 1').catch(e => e);
+
+    expect(error).toBeInstanceOf(QueryTimeoutError);
+    expect(error.attempts).toBe(2);
+    expect(client._pgClient.query).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not retry statements that are not idempotent unless opted in', async () => {
+    const client = createFakeClient(async () => {
+      throw createTimeoutError();
+    });
+
+    const error = await client.query('INSERT INTO "voters" DEFAULT VALUES').catch(e => e);
+    expect(error.attempts).toBe(1);
+    expect(client._pgClient.query).toHaveBeenCalledTimes(1);
+
+    const idempotentError = await client.query('INSERT INTO "voters" DEFAULT VALUES', undefined, {
+      idempotent: true,
+    }).catch(e => e);
+    expect(idempotentError.attempts).toBe(3);
+    expect(client._pgClient.query).toHaveBeenCalledTimes(4);
+  });
+
+  it.each([
+    ['SELECT nextval(\'"voters_id_seq"\')'],
+    ['SELECT setval(\'"voters_id_seq"\', 10)'],
+    ['SELECT pg_notify(\'votes\', NULL)'],
+    ['SELECT set_config(\'statement_timeout\', \'1s\', false)'],
+    ['SELECT pg_advisory_lock(1)'],
+    ['SELECT PG_TERMINATE_BACKEND (1234)'],
+  ])('should not retry `%s` since it has side effects', async (text) => {
+    const client = createFakeClient(async () => {
+      throw createTimeoutError();
+    });
+
+    const error = await client.query(text).catch(e => e);
+
+    expect(error.attempts).toBe(1);
+    expect(client._pgClient.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry reads that call functions without side effects', async () => {
+    const client = createFakeClient(async () => {
+      throw createTimeoutError();
+    });
+
+    const error = await client.query('SELECT count(*), now() FROM "voters" WHERE "notify_me"').catch(e => e);
+
+    expect(error.attempts).toBe(3);
+  });
+
+  it('should not retry notifications', async () => {
+    const client = createFakeClient(async () => {
+      throw createTimeoutError();
+    }, {queryOpts: {idempotent: true}});
+
+    const error = await client.notify('votes', {id: 1}).catch(e => e);
+
+    expect(error).toBeInstanceOf(QueryTimeoutError);
+    expect(error.attempts).toBe(1);
+    expect(client._pgClient.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry connecting with a new client for every attempt', async () => {
+    const client = createFakeClient();
+    const connect = jest.fn(async () => {
+      const error = new Error('connect ECONNREFUSED 127.0.0.1:5432');
+      error.code = 'ECONNREFUSED';
+      throw error;
+    });
+    client._createPgClient = () => Object.assign(createFakePgClient(), {connect});
+    client._pgClient = client._createPgClient();
+
+    const error = await client.query('SELECT 1').catch(e => e);
+
+    expect(error).toBeInstanceOf(ConnectionError);
+    expect(error.statusCode).toBe(503);
+    expect(error.attempts).toBe(3);
+    expect(connect).toHaveBeenCalledTimes(3);
+  });
+});
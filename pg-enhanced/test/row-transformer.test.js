@@ -0,0 +1,139 @@
+const createFakeClient = require('./utils/create-fake-client.js');
+const createRowTransformer = require('../src/sql/utils/create-row-transformer.js');
+
+const {escape, fragment} = require('../index.js');
+
+/**
+ * Create a fake `pg-cursor` that returns the given rows, a batch at a time
+ *
+ * @param {object[]} rows
+ */
+const createFakeCursor = (rows) => {
+  const remaining = [...rows];
+  return {
+    state: 'idle',
+    read: jest.fn(async (size) => remaining.splice(0, size)),
+    close: jest.fn(async () => {}),
+  };
+};
+
+describe('createRowTransformer', () => {
+  it('should not create a transformer when there is nothing to transform', () => {
+    expect(createRowTransformer()).toBeNull();
+    expect(createRowTransformer({keyCase: undefined, columnParsers: {}})).toBeNull();
+  });
+
+  it('should convert keys to camel case', () => {
+    const transformRow = createRowTransformer({keyCase: 'camel'});
+
+    expect(transformRow({user_id: 1, created_at_2: 2, already: 3, alreadyCamel: 4})).toEqual({
+      userId: 1, createdAt2: 2, already: 3, alreadyCamel: 4,
+    });
+  });
+
+  it('should keep leading and repeated underscores so that different columns never collide', () => {
+    const transformRow = createRowTransformer({keyCase: 'camel'});
+
+    expect(transformRow({_id: 1, id: 2, a__b: 3, a_b: 4, trailing_: 5})).toEqual({
+      _id: 1, id: 2, a__b: 3, aB: 4, trailing_: 5,
+    });
+  });
+
+  it('should convert keys to snake case', () => {
+    const transformRow = createRowTransformer({keyCase: 'snake'});
+
+    expect(transformRow({userId: 1, createdAt2: 2, _id: 3, already_snake: 4})).toEqual({
+      user_id: 1, created_at2: 2, _id: 3, already_snake: 4,
+    });
+  });
+
+  it('should parse columns by their original name, skipping null values', () => {
+    const parseTags = jest.fn(value => value.split(','));
+    const transformRow = createRowTransformer({keyCase: 'camel', columnParsers: {tag_list: parseTags}});
+
+    expect(transformRow({tag_list: 'a,b', other_column: 'a,b'})).toEqual({tagList: ['a', 'b'], otherColumn: 'a,b'});
+    expect(transformRow({tag_list: null})).toEqual({tagList: null});
+    expect(parseTags).toHaveBeenCalledTimes(1);
+  });
+
+  it('should map rows after every other transformation', () => {
+    const transformRow = createRowTransformer({
+      keyCase: 'camel',
+      columnParsers: {vote_count: Number},
+      rowMapper: row => ({...row, isPopular: row.voteCount > 10}),
+    });
+
+    expect(transformRow({vote_count: '11'})).toEqual({voteCount: 11, isPopular: true});
+  });
+
+  it('should pass rows to the row mapper as-is when there are no other transformations', () => {
+    const row = {id: 1};
+    const rowMapper = jest.fn(() => 'mapped');
+
+    expect(createRowTransformer({rowMapper})(row)).toBe('mapped');
+    expect(rowMapper).toHaveBeenCalledWith(row);
+  });
+});
+
+describe('row transformations', () => {
+  it('should transform the rows of queries, with query options taking precedence', async () => {
+    const client = createFakeClient([{user_id: 1, tag_list: 'a,b'}], {
+      queryOpts: {keyCase: 'camel', columnParsers: {tag_list: value => value.split(',')}},
+    });
+
+    expect([...await client.query('SELECT * FROM "voters"')]).toEqual([{userId: 1, tagList: ['a', 'b']}]);
+    expect([...await client.sql({keyCase: undefined})`SELECT * FROM "voters"`]).toEqual([
+      {user_id: 1, tag_list: ['a', 'b']},
+    ]);
+    expect([...await client.query('SELECT * FROM "voters"', undefined, {rowMapper: row => row.userId})]).toEqual([1]);
+  });
+
+  it('should have `pg` use the type parsers, falling back to the default parsers', async () => {
+    const parseNumeric = jest.fn(Number);
+    const client = createFakeClient([], {queryOpts: {typeParsers: {1700: parseNumeric}}});
+
+    await client.query('SELECT 1.5::numeric');
+
+    const [[{types}]] = client._pgClient.query.mock.calls;
+    expect(types.getTypeParser(1700, 'text')).toBe(parseNumeric);
+    expect(types.getTypeParser(20, 'text')('12')).toBe('12');
+  });
+
+  it('should transform the rows read from cursors', async () => {
+    const client = createFakeClient(async () => createFakeCursor([{user_id: 1}, {user_id: 2}, {user_id: 3}]), {
+      queryOpts: {keyCase: 'camel', rowMapper: row => row.userId},
+    });
+
+    const cursor = await client.cursorQuery('SELECT * FROM "voters"', undefined, {batchSize: 2});
+    const ids = [];
+    for await (const id of cursor) {
+      ids.push(id);
+    }
+
+    expect(ids).toEqual([1, 2, 3]);
+  });
+
+  it('should transform paginated items without the sort keys', async () => {
+    const client = createFakeClient([
+      {vote_id: 7, tag_list: 'a,b', _pgEnhancedPageKeys: ['2']},
+      {vote_id: 8, tag_list: 'c', _pgEnhancedPageKeys: ['1']},
+    ], {
+      queryOpts: {
+        keyCase: 'camel',
+        columnParsers: {tag_list: value => value.split(',')},
+        rowMapper: row => ({...row, tagCount: row.tagList.length}),
+      },
+    });
+
+    const {items} = await client.paginate(fragment`SELECT * FROM "votes" WHERE "id">${escape.parameter(0)}`, {
+      orderBy: ['id'],
+      pageSize: 2,
+      secret: 'shh',
+    });
+
+    expect(items).toEqual([
+      {voteId: 7, tagList: ['a', 'b'], tagCount: 2},
+      {voteId: 8, tagList: ['c'], tagCount: 1},
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+const PgClient = require('../index.js');
+
+const {ConnectionError, DBError, MismatchedKeysError, SerializationFailureError} = PgClient.errors;
+
+describe('transaction', () => {
+  const client = new PgClient();
+  const table = `transaction_test_${process.pid}`;
+  const {escape} = client;
+
+  /**
+   * Get the names in the test table, in the order they were inserted
+   */
+  const getNames = async () => {
+    const rows = await client.sql`SELECT "name" FROM ${escape.identifier(table)} ORDER BY "id"`;
+    return rows.map(row => row.name);
+  };
+
+  beforeAll(async () => {
+    await client.sql`CREATE TABLE ${escape.identifier(table)} ("id" SERIAL PRIMARY KEY, "name" TEXT NOT NULL)`;
+  });
+
+  beforeEach(async () => {
+    await client.sql`TRUNCATE ${escape.identifier(table)}`;
+  });
+
+  afterAll(async () => {
+    await client.sql`DROP TABLE IF EXISTS ${escape.identifier(table)}`;
+    await client.end();
+  });
+
+  it('should commit when the callback resolves', async () => {
+    const result = await client.transaction(async (tx) => {
+      await tx.sql`INSERT INTO ${escape.identifier(table)} ${escape.keysAndValues({name: 'taxes'})}`;
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(await getNames()).toEqual(['taxes']);
+  });
+
+  it('should roll back and rethrow application errors unchanged', async () => {
+    const appError = new MismatchedKeysError(1, ['name'], ['title']);
+    class AppError extends Error {}
+
+    const error = await client.transaction(async (tx) => {
+      await tx.sql`INSERT INTO ${escape.identifier(table)} ${escape.keysAndValues({name: 'taxes'})}`;
+      throw appError;
+    }).catch(e => e);
+    const otherError = await client.transaction(async () => {
+      throw new AppError('nope');
+    }).catch(e => e);
+
+    expect(error).toBe(appError);
+    expect(otherError).toBeInstanceOf(AppError);
+    expect(await getNames()).toEqual([]);
+  });
+
+  it('should only roll back a nested transaction to its savepoint', async () => {
+    await client.transaction(async (tx) => {
+      await tx.sql`INSERT INTO ${escape.identifier(table)} ${escape.keysAndValues({name: 'outer'})}`;
+
+      const error = await tx.transaction(async (nestedTx) => {
+        await nestedTx.sql`INSERT INTO ${escape.identifier(table)} ${escape.keysAndValues({name: 'inner'})}`;
+        await nestedTx.sql`SELECT 1/0`;
+      }).catch(e => e);
+      expect(error).toBeInstanceOf(DBError);
+
+      await tx.transaction(async (nestedTx) => {
+        await nestedTx.sql`INSERT INTO ${escape.identifier(table)} ${escape.keysAndValues({name: 'kept'})}`;
+      });
+    });
+
+    expect(await getNames()).toEqual(['outer', 'kept']);
+  });
+
+  it('should reject with a connection error instead of reconnecting when the connection drops', async () => {
+    const otherClient = new PgClient({}, {autoClose: false});
+
+    try {
+      const error = await client.transaction(async (tx) => {
+        await tx.sql`INSERT INTO ${escape.identifier(table)} ${escape.keysAndValues({name: 'before'})}`;
+
+        const [{pid}] = await tx.sql`SELECT pg_backend_pid() AS "pid"`;
+        await otherClient.sql`SELECT pg_terminate_backend(${escape.parameter(pid)})`;
+        // Give the client a moment to notice that its connection is gone
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        await tx.sql`INSERT INTO ${escape.identifier(table)} ${escape.keysAndValues({name: 'after'})}`;
+      }).catch(e => e);
+
+      expect(error).toBeInstanceOf(ConnectionError);
+      expect(await getNames()).toEqual([]);
+    } finally {
+      await otherClient.end();
+    }
+  });
+
+  it('should run the whole transaction again after a serialization failure', async () => {
+    let attempts = 0;
+
+    await client.transaction(async (tx) => {
+      attempts++;
+      await tx.sql`INSERT INTO ${escape.identifier(table)} ${escape.keysAndValues({name: `attempt ${attempts}`})}`;
+      if (attempts < 3) {
+        await tx.query(`DO $$ BEGIN RAISE EXCEPTION 'could not serialize access' USING ERRCODE = '40001'; END $$`);
+      }
+    }, {isolationLevel: 'SERIALIZABLE'});
+
+    expect(attempts).toBe(3);
+    expect(await getNames()).toEqual(['attempt 3']);
+
+    const error = await client.transaction(async (tx) => {
+      await tx.query(`DO $$ BEGIN RAISE EXCEPTION 'could not serialize access' USING ERRCODE = '40001'; END $$`);
+    }, {retryLimit: 0}).catch(e => e);
+    expect(error).toBeInstanceOf(SerializationFailureError);
+  });
+});
@@ -0,0 +1,27 @@
+const PgClient = require('../../index.js');
+
+const createFakePgClient = require('./create-fake-pg-client.js');
+
+/**
+ * Create a client whose connections are fakes that answer queries without a database. Every
+ * connection it opens, including reconnections, shares the same `query` mock, so the queries
+ * sent by the client can be checked with `client._pgClient.query.mock.calls`. Retries are made
+ * without any delay
+ *
+ * @param {((queryConfig: object) => Promise<object>)|object[]} query Function used to answer
+ *  queries, or the rows that every query resolves with
+ * @param {import('../../src/sql/clients/pg-client.js').PgClientOpts} opts
+ * @param {import('pg').ClientConfig} pgConfig
+ *
+ * @returns {PgClient}
+ */
+const createFakeClient = (query = [], opts = {}, pgConfig = {}) => {
+  const queryMock = jest.fn(Array.isArray(query) ? async () => ({rows: query, rowCount: query.length}) : query);
+
+  const client = new PgClient(pgConfig, {autoClose: false, ...opts, retry: {baseDelayMs: 0, ...opts.retry}});
+  client._createPgClient = () => createFakePgClient(queryMock);
+  client._pgClient = client._createPgClient();
+  return client;
+};
+
+module.exports = createFakeClient;
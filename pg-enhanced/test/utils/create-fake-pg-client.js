@@ -0,0 +1,21 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Create a fake `pg` client that connects and answers queries without a database. Connection
+ * events like `end` can be emitted on it to simulate a dropped connection
+ *
+ * @param {(queryConfig: object) => Promise<object>=} query Function used to answer queries. Mock
+ *  functions are used as-is, so that they can be shared between connections
+ *
+ * @returns {EventEmitter & {connect: jest.Mock, end: jest.Mock, query: jest.Mock, processID: number}}
+ */
+const createFakePgClient = (query = async () => ({rows: [], rowCount: 0, command: 'SELECT'})) => {
+  const pgClient = new EventEmitter();
+  pgClient.processID = 1234;
+  pgClient.connect = jest.fn(async () => {});
+  pgClient.end = jest.fn(async () => {});
+  pgClient.query = jest.isMockFunction(query) ? query : jest.fn(query);
+  return pgClient;
+};
+
+module.exports = createFakePgClient;